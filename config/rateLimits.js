@@ -0,0 +1,35 @@
+// Request limits per route group. Each can be overridden with
+// RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_MS.
+const MINUTE = 60 * 1000;
+
+const defaults = {
+  login: { windowMs: 15 * MINUTE, max: 20, by: 'ip' },
+  register: { windowMs: 60 * MINUTE, max: 10, by: 'ip' },
+  password_reset: { windowMs: 60 * MINUTE, max: 5, by: 'ip' },
+  refresh: { windowMs: 15 * MINUTE, max: 60, by: 'ip' },
+  ai_ip: { windowMs: 60 * MINUTE, max: 60, by: 'ip' },
+  ai_user: { windowMs: 24 * 60 * MINUTE, max: 50, by: 'user' },
+  post_create: { windowMs: 60 * MINUTE, max: 10, by: 'user' },
+  comment_create: { windowMs: 10 * MINUTE, max: 20, by: 'user' },
+  report_create: { windowMs: 60 * MINUTE, max: 30, by: 'user' },
+  media_upload: { windowMs: 60 * MINUTE, max: 30, by: 'user' }
+};
+
+const fromEnv = (name, field) => parseInt(process.env[`RATE_LIMIT_${name.toUpperCase()}_${field}`], 10);
+
+export const rateLimitConfig = (name) => {
+  const base = defaults[name];
+  return {
+    ...base,
+    max: fromEnv(name, 'MAX') || base.max,
+    windowMs: fromEnv(name, 'WINDOW_MS') || base.windowMs
+  };
+};
+
+// Failed logins allowed before an account is locked, and how long the
+// first lock lasts. Each further failure doubles it, up to the maximum.
+export const loginLockout = {
+  freeAttempts: parseInt(process.env.LOGIN_LOCKOUT_FREE_ATTEMPTS, 10) || 5,
+  baseMs: parseInt(process.env.LOGIN_LOCKOUT_BASE_MS, 10) || MINUTE,
+  maxMs: parseInt(process.env.LOGIN_LOCKOUT_MAX_MS, 10) || 60 * MINUTE
+};
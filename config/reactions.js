@@ -0,0 +1,22 @@
+// Reactions people can leave on posts and comments, as name:emoji pairs.
+// The first one is what the old like endpoints and migrated likes use.
+// Override with e.g. REACTIONS="like:👍,love:❤️,laugh:😂"
+const DEFAULT_REACTIONS = 'like:👍,love:❤️,laugh:😂,wow:😮,sad:😢,celebrate:🎉';
+
+// Names become field names in reactionCounts, so keep them simple
+const VALID_NAME = /^[a-z][a-z0-9_]{0,29}$/;
+
+export const REACTIONS = (process.env.REACTIONS || DEFAULT_REACTIONS)
+  .split(',')
+  .map(pair => {
+    const [name = '', emoji = ''] = pair.split(':').map(part => part.trim());
+    return { name: name.toLowerCase(), emoji: emoji || name };
+  })
+  .filter(reaction => VALID_NAME.test(reaction.name));
+
+if (REACTIONS.length === 0) {
+  throw new Error('REACTIONS must define at least one reaction');
+}
+
+export const REACTION_NAMES = REACTIONS.map(reaction => reaction.name);
+export const DEFAULT_REACTION = REACTION_NAMES[0];
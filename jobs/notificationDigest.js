@@ -0,0 +1,106 @@
+import Notification from '../models/Notification.js';
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import { sendMail } from '../mail/index.js';
+import { digestEmail } from '../mail/templates.js';
+import { summarize } from '../utils/notificationGroups.js';
+
+const PERIOD_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+const MAX_ITEMS = 20;
+
+const EMAIL_TYPES = ['like', 'comment', 'reply', 'subscribe', 'post_created'];
+
+// Notification types a user wants to see in email
+const emailTypes = (user) => EMAIL_TYPES.filter(
+  type => user.notificationPreferences?.[type] === 'email'
+);
+
+// Build the digest contents for one user since `since`
+export const collectDigest = async (user, since) => {
+  const types = emailTypes(user);
+
+  const notifications = types.length === 0 ? [] : await Notification.find({
+    recipient: user._id,
+    read: false,
+    type: { $in: types },
+    createdAt: { $gt: since }
+  })
+    .populate('sender', 'firstName lastName')
+    .sort({ createdAt: -1 })
+    .limit(MAX_ITEMS)
+    .lean();
+
+  const followed = user.following || [];
+  const posts = followed.length === 0 ? [] : await Post.find({
+    ...Post.publishedFilter(),
+    author: { $in: followed },
+    publishedAt: { $gt: since }
+  })
+    .select('title firstName lastName createdAt publishedAt')
+    .sort({ publishedAt: -1 })
+    .limit(MAX_ITEMS)
+    .lean();
+
+  return {
+    notifications: notifications.map(item => ({
+      ...item,
+      summary: summarize({ type: item.type, senderCount: 1 }, item.sender ? [item.sender] : [])
+    })),
+    posts
+  };
+};
+
+// Send every digest of the given frequency that is due. Each user is
+// claimed by moving lastDigestAt first, so several processes never
+// send the same digest twice.
+export const sendDigests = async (frequency, now = new Date()) => {
+  const cutoff = new Date(now.getTime() - PERIOD_MS[frequency]);
+  const due = await User.find({
+    digestFrequency: frequency,
+    $or: [{ lastDigestAt: null }, { lastDigestAt: { $lte: cutoff } }]
+  }).select('_id lastDigestAt');
+
+  let sent = 0;
+  for (const { _id, lastDigestAt } of due) {
+    const user = await User.findOneAndUpdate(
+      { _id, lastDigestAt },
+      { lastDigestAt: now }
+    );
+    if (!user) continue;
+
+    try {
+      const since = lastDigestAt || cutoff;
+      const digest = await collectDigest(user, since);
+      if (digest.notifications.length === 0 && digest.posts.length === 0) continue;
+
+      await sendMail(digestEmail(user, { frequency, ...digest }));
+      sent++;
+    } catch (err) {
+      console.error(`Digest error for user ${_id}:`, err);
+    }
+  }
+
+  return sent;
+};
+
+export const startDigestScheduler = (intervalMs = parseInt(process.env.DIGEST_CHECK_INTERVAL_MS, 10) || CHECK_INTERVAL_MS) => {
+  const run = async () => {
+    try {
+      for (const frequency of Object.keys(PERIOD_MS)) {
+        const count = await sendDigests(frequency);
+        if (count > 0) console.log(`Sent ${count} ${frequency} digest(s)`);
+      }
+    } catch (err) {
+      console.error('Digest scheduler error:', err);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+};
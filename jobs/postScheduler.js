@@ -0,0 +1,41 @@
+import Post from '../models/Post.js';
+import { notifySubscribers } from '../utils/notify.js';
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Publish every scheduled post whose publishAt has passed. Each post is
+// claimed with a conditional update so that, with several server
+// processes running, only one of them publishes it and notifies.
+export const publishDuePosts = async (now = new Date()) => {
+  const due = await Post.find({ status: 'scheduled', publishAt: { $lte: now } })
+    .select('_id');
+
+  let published = 0;
+  for (const { _id } of due) {
+    const post = await Post.findOneAndUpdate(
+      { _id, status: 'scheduled' },
+      { status: 'published', publishedAt: now },
+      { new: true }
+    );
+
+    if (post) {
+      published++;
+      await notifySubscribers(post);
+    }
+  }
+
+  return published;
+};
+
+export const startPostScheduler = (intervalMs = parseInt(process.env.POST_SCHEDULER_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS) => {
+  const run = () => publishDuePosts()
+    .then(count => {
+      if (count > 0) console.log(`Published ${count} scheduled post(s)`);
+    })
+    .catch(err => console.error('Post scheduler error:', err));
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return () => clearInterval(timer);
+};
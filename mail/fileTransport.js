@@ -0,0 +1,19 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Development transport: logs each message and, when a directory is
+// given, writes it there as JSON instead of sending anything
+export const createFileTransport = (dir = process.env.MAIL_FILE_DIR) => ({
+  name: 'file',
+  send: async (message) => {
+    console.log(`[mail] to=${message.to} subject="${message.subject}"`);
+
+    if (dir) {
+      await fs.mkdir(dir, { recursive: true });
+      const file = path.join(dir, `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`);
+      await fs.writeFile(file, JSON.stringify(message, null, 2));
+    }
+
+    return { accepted: [message.to] };
+  }
+});
@@ -0,0 +1,32 @@
+import { createSmtpTransport } from './smtpTransport.js';
+import { createFileTransport } from './fileTransport.js';
+
+// A transport is any object with an async send({ from, to, subject, text, html })
+let transport = null;
+
+const createDefaultTransport = () => {
+  if (process.env.MAIL_TRANSPORT === 'smtp') {
+    return createSmtpTransport();
+  }
+  return createFileTransport();
+};
+
+// Swap the transport, e.g. for a stub in tests. Pass null to go back
+// to the one chosen by MAIL_TRANSPORT.
+export const setMailTransport = (next) => {
+  transport = next;
+};
+
+export const sendMail = async ({ to, subject, text, html }) => {
+  if (!transport) {
+    transport = createDefaultTransport();
+  }
+
+  return transport.send({
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    to,
+    subject,
+    text,
+    html
+  });
+};
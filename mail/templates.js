@@ -0,0 +1,51 @@
+import { escapeHtml } from '../utils/html.js';
+import { appUrl, postUrl } from '../utils/urls.js';
+
+export const verificationEmail = (user, token) => {
+  const link = `${appUrl()}/verify-email?token=${encodeURIComponent(token)}`;
+  return {
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.firstName},\n\nConfirm your email address by opening this link:\n${link}\n\nIf you did not sign up, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Confirm your email address by opening <a href="${link}">this link</a>.</p><p>If you did not sign up, you can ignore this email.</p>`
+  };
+};
+
+export const passwordResetEmail = (user, token) => {
+  const link = `${appUrl()}/reset-password?token=${encodeURIComponent(token)}`;
+  return {
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.firstName},\n\nReset your password by opening this link:\n${link}\n\nThe link expires soon and works once. If you did not ask for a reset, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Reset your password by opening <a href="${link}">this link</a>.</p><p>The link expires soon and works once. If you did not ask for a reset, you can ignore this email.</p>`
+  };
+};
+
+// Summary of unread notifications and new posts from followed authors
+export const digestEmail = (user, { frequency, notifications, posts }) => {
+  const period = frequency === 'weekly' ? 'this week' : 'today';
+
+  const notificationLines = notifications.map(item => `- ${item.summary}`);
+  const postLines = posts.map(post => `- ${post.title} by ${post.firstName} ${post.lastName}: ${postUrl(post)}`);
+
+  const textSections = [];
+  const htmlSections = [];
+  if (notificationLines.length > 0) {
+    textSections.push(`Unread notifications:\n${notificationLines.join('\n')}`);
+    htmlSections.push(`<h3>Unread notifications</h3><ul>${notifications
+      .map(item => `<li>${escapeHtml(item.summary)}</li>`).join('')}</ul>`);
+  }
+  if (postLines.length > 0) {
+    textSections.push(`New posts from authors you follow:\n${postLines.join('\n')}`);
+    htmlSections.push(`<h3>New posts from authors you follow</h3><ul>${posts
+      .map(post => `<li><a href="${postUrl(post)}">${escapeHtml(post.title)}</a> by ${escapeHtml(`${post.firstName} ${post.lastName}`)}</li>`)
+      .join('')}</ul>`);
+  }
+
+  return {
+    to: user.email,
+    subject: `Your ${frequency} digest`,
+    text: `Hi ${user.firstName},\n\nHere is what happened ${period}.\n\n${textSections.join('\n\n')}\n\nChange how often you get this email in your notification settings.`,
+    html: `<p>Hi ${escapeHtml(user.firstName)},</p><p>Here is what happened ${period}.</p>${htmlSections.join('')}<p>Change how often you get this email in your notification settings.</p>`
+  };
+};
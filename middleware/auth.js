@@ -16,6 +16,16 @@ export const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ msg: "User not found" });
     }
 
+    const blocked = user.accessBlockReason();
+    if (blocked) {
+      return res.status(403).json({ msg: blocked });
+    }
+
+    // Tokens issued before a password change no longer count
+    if (user.passwordChangedAt && decoded.iat * 1000 < user.passwordChangedAt.getTime()) {
+      return res.status(401).json({ msg: "Token expired, please log in again" });
+    }
+
     // Attach complete user object to request
     req.user = user;
     next();
@@ -24,3 +34,40 @@ export const authMiddleware = async (req, res, next) => {
     res.status(401).json({ msg: "Invalid token" });
   }
 };
+
+// For public routes that personalise their output when the caller is
+// signed in: sets req.user for a valid token and carries on without
+// one otherwise
+export const optionalAuth = async (req, res, next) => {
+  try {
+    const token = req.headers.authorization?.split(" ")[1];
+    if (token) {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await User.findById(decoded.id);
+      const isStale = user?.passwordChangedAt && decoded.iat * 1000 < user.passwordChangedAt.getTime();
+      if (user && !user.accessBlockReason() && !isStale) {
+        req.user = user;
+      }
+    }
+  } catch (err) {
+    // An invalid token is treated like no token
+  }
+  next();
+};
+
+// Use after authMiddleware to limit a route to some roles, e.g.
+// requireRole('moderator', 'admin')
+export const requireRole = (...roles) => (req, res, next) => {
+  if (!roles.includes(req.user.role)) {
+    return res.status(403).json({ msg: "Not authorized" });
+  }
+  next();
+};
+
+// Use after authMiddleware on actions unverified accounts may not take
+export const requireVerified = (req, res, next) => {
+  if (req.user.emailVerified === false) {
+    return res.status(403).json({ msg: "Please verify your email address first" });
+  }
+  next();
+};
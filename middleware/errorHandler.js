@@ -0,0 +1,83 @@
+import multer from 'multer';
+import mongoose from 'mongoose';
+import { HttpError, codeForStatus } from '../utils/errors.js';
+
+// Every error response has the shape { msg, code, details }. Routes
+// that answer with res.status(4xx).json({ msg }) get the code and an
+// empty details list filled in here.
+export const errorShape = (req, res, next) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && body.msg) {
+      body = { ...body, code: body.code || codeForStatus(res.statusCode), details: body.details || [] };
+    }
+    return json(body);
+  };
+  next();
+};
+
+export const notFoundHandler = (req, res) => {
+  res.status(404).json({ msg: "Route not found" });
+};
+
+// Turn anything thrown or passed to next() into the shared error shape
+const toHttpError = (err) => {
+  if (err instanceof HttpError) return err;
+
+  // Malformed JSON body
+  if (err.type === 'entity.parse.failed') {
+    return new HttpError(400, "Request body is not valid JSON");
+  }
+  if (err.type === 'entity.too.large') {
+    return new HttpError(413, "Request body is too large");
+  }
+
+  if (err instanceof multer.MulterError) {
+    const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    return new HttpError(status, err.message, { details: [{ location: 'body', field: err.field || '', message: err.message }] });
+  }
+  if (err.message === 'Not an image! Please upload an image.') {
+    return new HttpError(400, err.message, { details: [{ location: 'body', field: 'image', message: err.message }] });
+  }
+
+  if (err instanceof mongoose.Error.CastError) {
+    return new HttpError(400, `Invalid ${err.path}`, {
+      details: [{ location: 'params', field: err.path, message: `Must be a valid ${err.kind}` }]
+    });
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new HttpError(400, "Invalid request", {
+      code: 'VALIDATION_ERROR',
+      details: Object.values(err.errors).map(fieldErr => ({
+        location: 'body',
+        field: fieldErr.path,
+        message: fieldErr.message
+      }))
+    });
+  }
+  if (err.code === 11000) {
+    return new HttpError(409, "Already exists", {
+      details: Object.keys(err.keyValue || {}).map(field => ({ location: 'body', field, message: 'Already taken' }))
+    });
+  }
+
+  return null;
+};
+
+export const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const httpError = toHttpError(err);
+  if (!httpError) {
+    console.error('Unhandled error:', err);
+    return res.status(500).json({ msg: "Internal server error", code: 'INTERNAL_ERROR', details: [] });
+  }
+
+  res.status(httpError.status).json({
+    msg: httpError.message,
+    code: httpError.code,
+    details: httpError.details
+  });
+};
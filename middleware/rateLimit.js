@@ -0,0 +1,36 @@
+import { rateLimitConfig } from '../config/rateLimits.js';
+import { getRateLimitStore } from '../utils/rateLimitStore.js';
+
+// Limit a route group configured in config/rateLimits.js. Buckets are
+// keyed by client IP, or by user id for limiters that run after
+// authMiddleware. Sets RateLimit-* headers and answers 429 with
+// Retry-After once the bucket is empty.
+export const rateLimit = (name) => {
+  const { windowMs, max, by } = rateLimitConfig(name);
+
+  return async (req, res, next) => {
+    const subject = by === 'user' ? req.user?._id : req.ip;
+    if (!subject) return next();
+
+    try {
+      const { count, resetAt } = await getRateLimitStore().increment(`${name}:${subject}`, windowMs);
+      const resetSeconds = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 0);
+
+      res.set({
+        'RateLimit-Limit': String(max),
+        'RateLimit-Remaining': String(Math.max(max - count, 0)),
+        'RateLimit-Reset': String(resetSeconds)
+      });
+
+      if (count > max) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({ msg: "Too many requests, please try again later" });
+      }
+      next();
+    } catch (err) {
+      // A broken store should not take the route down with it
+      console.error('Rate limit store error:', err);
+      next();
+    }
+  };
+};
@@ -0,0 +1,30 @@
+import { HttpError } from '../utils/errors.js';
+
+// Check req.params, req.query and req.body against zod schemas, e.g.
+// validate({ params: idParams, body: createPost.body }). The parsed body
+// replaces req.body, so unknown fields are dropped and values trimmed.
+// Problems are reported together as one 400 VALIDATION_ERROR.
+export const validate = (schemas) => (req, res, next) => {
+  const details = [];
+
+  for (const location of ['params', 'query', 'body']) {
+    const schema = schemas[location];
+    if (!schema) continue;
+
+    const result = schema.safeParse(req[location] ?? {});
+    if (!result.success) {
+      details.push(...result.error.issues.map(issue => ({
+        location,
+        field: issue.path.join('.'),
+        message: issue.message
+      })));
+    } else if (location === 'body') {
+      req.body = result.data;
+    }
+  }
+
+  if (details.length > 0) {
+    return next(new HttpError(400, "Invalid request", { code: 'VALIDATION_ERROR', details }));
+  }
+  next();
+};
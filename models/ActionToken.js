@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+// Records the id of each signed email-verification, password-reset or
+// Google sign-in token so that it can be used only once
+const actionTokenSchema = new mongoose.Schema({
+  jti: { type: String, required: true, unique: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  purpose: { type: String, enum: ['verify_email', 'reset_password', 'oauth_login'], required: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null }
+});
+
+actionTokenSchema.index({ user: 1, purpose: 1 });
+actionTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('ActionToken', actionTokenSchema);
@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// One stored size of an asset (see IMAGE_SIZES)
+const variantSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  storageId: { type: String, required: true },
+  url: { type: String, required: true },
+  size: { type: Number, default: 0 },
+  width: { type: Number, default: null },
+  height: { type: Number, default: null }
+}, { _id: false });
+
+// Something that displays the asset: a post (cover, gallery), a user's
+// avatar, or a post's revision history (ref is the post), which keeps a
+// replaced cover around so restoring a revision can bring it back
+const usageSchema = new mongoose.Schema({
+  kind: { type: String, enum: ['post', 'avatar', 'revision'], required: true },
+  ref: { type: mongoose.Schema.Types.ObjectId, required: true }
+}, { _id: false });
+
+// An uploaded file in a user's media library. Once the last usage is
+// released the asset and its stored files are deleted.
+const assetSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  originalName: { type: String, default: '' },
+  mimeType: { type: String, default: '' },
+  // Bytes of the original upload
+  size: { type: Number, default: 0 },
+  variants: [variantSchema],
+  usage: [usageSchema]
+}, {
+  timestamps: true
+});
+
+assetSchema.index({ owner: 1, createdAt: -1, _id: -1 });
+assetSchema.index({ 'usage.kind': 1, 'usage.ref': 1 });
+
+// { thumbnail, feed, full } URLs, as kept on posts
+assetSchema.methods.variantUrls = function() {
+  return Object.fromEntries(this.variants.map(variant => [variant.name, variant.url]));
+};
+
+export default mongoose.model('Asset', assetSchema);
@@ -7,7 +7,24 @@ const commentSchema = new mongoose.Schema({
   firstName: { type: String, required: true },
   lastName: { type: String, required: true },
   profilePicture: { type: String },
+  // Direct parent for replies, null for top-level comments
+  parent: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+  // Every comment above this one, root first; its length is the reply depth
+  ancestors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Comment' }],
+  editedAt: { type: Date, default: null },
+  // Totals per reaction name; the reactions themselves are in Reaction
+  reactionCounts: { type: Map, of: Number, default: {} },
+  // Set when a moderator takes the comment down
+  moderation: {
+    removedAt: { type: Date, default: null },
+    removedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reason: { type: String, default: null }
+  },
   createdAt: { type: Date, default: Date.now }
 });
 
-export default mongoose.model('Comment', commentSchema);
\ No newline at end of file
+commentSchema.index({ post: 1, createdAt: -1 });
+commentSchema.index({ post: 1, parent: 1, createdAt: -1, _id: -1 });
+commentSchema.index({ ancestors: 1 });
+
+export default mongoose.model('Comment', commentSchema);
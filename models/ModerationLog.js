@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// Audit trail of every moderation action and the reason given for it
+const moderationLogSchema = new mongoose.Schema({
+  // null when the system acted on its own, e.g. hiding heavily reported content
+  moderator: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  action: {
+    type: String,
+    enum: ['suspend', 'ban', 'reinstate', 'set_role', 'remove', 'restore', 'dismiss_reports', 'warn'],
+    required: true
+  },
+  targetType: { type: String, enum: ['user', 'post', 'comment'], required: true },
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  reason: { type: String, required: true },
+  details: { type: mongoose.Schema.Types.Mixed, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+moderationLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+moderationLogSchema.index({ createdAt: -1, _id: -1 });
+
+export default mongoose.model('ModerationLog', moderationLogSchema);
@@ -2,11 +2,24 @@ import mongoose from 'mongoose';
 
 const notificationSchema = new mongoose.Schema({
   recipient: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
-  sender: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Moderator warnings have no sender, so the moderator stays anonymous
+  sender: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: function() { return this.type !== 'warning'; }
+  },
   post: { type: mongoose.Schema.Types.ObjectId, ref: 'Post' },
-  type: { type: String, enum: ['like', 'comment', 'subscribe', 'post_created'], required: true },
+  comment: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment' },
+  type: { type: String, enum: ['like', 'comment', 'reply', 'subscribe', 'post_created', 'warning'], required: true },
+  // Free text for notifications that carry one, such as moderator warnings
+  message: { type: String, default: null },
+  // Which reaction a 'like' notification is for
+  reaction: { type: String, default: null },
   read: { type: Boolean, default: false },
   createdAt: { type: Date, default: Date.now }
 });
 
-export default mongoose.model('Notification', notificationSchema);
\ No newline at end of file
+notificationSchema.index({ recipient: 1, createdAt: -1, _id: -1 });
+notificationSchema.index({ recipient: 1, read: 1 });
+
+export default mongoose.model('Notification', notificationSchema);
@@ -1,18 +1,24 @@
 import mongoose from 'mongoose';
+import { slugify } from '../utils/slug.js';
+import { renderMarkdown } from '../utils/markdown.js';
+
+const galleryItemSchema = new mongoose.Schema({
+  asset: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', required: true },
+  variants: {
+    thumbnail: { type: String, default: '' },
+    feed: { type: String, default: '' },
+    full: { type: String, default: '' }
+  },
+  caption: { type: String, default: '', maxlength: 300 },
+  alt: { type: String, default: '', maxlength: 300 }
+}, { _id: false });
 
 const postSchema = new mongoose.Schema({
   title: { type: String, required: true },
-  content: { 
-    type: String, 
-    required: true,
-    set: function(content) {
-      // Convert markdown-style formatting to HTML
-      return content
-        .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-        .replace(/\*(.*?)\*/g, '<em>$1</em>')
-        .replace(/__(.*?)__/g, '<u>$1</u>');
-    }
-  },
+  // Raw Markdown as the author wrote it
+  content: { type: String, required: true },
+  // Sanitized HTML rendered from `content` on save
+  contentHtml: { type: String, default: '' },
   author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   firstName: { type: String, required: true },
   lastName: { type: String, required: true },
@@ -20,13 +26,126 @@ const postSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
-  likes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  // Totals per reaction name; the reactions themselves are in Reaction
+  reactionCounts: { type: Map, of: Number, default: {} },
+  // Liker ids from before reactions; `npm run migrate:reactions` moves them
+  // to Reaction. Never selected, so unmigrated posts don't expose them.
+  likes: {
+    type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    default: undefined,
+    select: false
+  },
   image: {
     type: String,
     default: ''
+  },
+  // The same image at each size in IMAGE_SIZES; `image` is the full one
+  imageVariants: {
+    thumbnail: { type: String, default: '' },
+    feed: { type: String, default: '' },
+    full: { type: String, default: '' }
+  },
+  imageAsset: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', default: null },
+  // Extra images, shown in this order
+  gallery: [galleryItemSchema],
+  status: {
+    type: String,
+    enum: ['draft', 'scheduled', 'published', 'archived'],
+    default: 'published'
+  },
+  // When a scheduled post is due to go live
+  publishAt: { type: Date, default: null },
+  publishedAt: { type: Date, default: null },
+  // Number of the latest PostRevision; bumped atomically by PostRevision.record
+  revisionCount: { type: Number, default: 0 },
+  tags: [{ type: String, lowercase: true, trim: true }],
+  category: { type: String, trim: true, default: null },
+  slug: { type: String, unique: true, sparse: true },
+  // Slugs this post had under earlier titles, kept so old links redirect
+  slugAliases: [{ type: String }],
+  // Set when a moderator takes the post down
+  moderation: {
+    removedAt: { type: Date, default: null },
+    removedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    reason: { type: String, default: null }
   }
 }, {
   timestamps: true
 });
 
+// Cursor pagination walks posts newest first, globally and per author
+// Live listings sort on publishedAt; an author's own list, which includes
+// drafts, sorts on createdAt
+postSchema.index({ publishedAt: -1, _id: -1 });
+postSchema.index({ author: 1, publishedAt: -1, _id: -1 });
+postSchema.index({ author: 1, createdAt: -1, _id: -1 });
+postSchema.index({ status: 1, publishAt: 1 });
+postSchema.index({ tags: 1, publishedAt: -1, _id: -1 });
+postSchema.index({ category: 1, publishedAt: -1, _id: -1 });
+postSchema.index({ slugAliases: 1 });
+
+// Full-text search, ranking title matches above tags and body text
+postSchema.index(
+  { title: 'text', tags: 'text', content: 'text' },
+  { name: 'post_text', weights: { title: 10, tags: 5, content: 1 } }
+);
+
+// Only when content changes: legacy posts keep an empty contentHtml until
+// scripts/backfillContentHtml.js converts their content as well
+postSchema.pre('save', function(next) {
+  if (this.isNew || this.isModified('content')) {
+    this.contentHtml = renderMarkdown(this.content);
+  }
+  next();
+});
+
+// Give the post a unique slug from its title, keeping the old one as an alias
+postSchema.pre('save', async function(next) {
+  try {
+    if (this.slug && !this.isModified('title')) return next();
+
+    const base = slugify(this.title);
+    if (this.slug === base) return next();
+
+    let candidate = base;
+    for (let suffix = 2; ; suffix++) {
+      const taken = await this.constructor.exists({
+        _id: { $ne: this._id },
+        $or: [{ slug: candidate }, { slugAliases: candidate }]
+      });
+      if (!taken) break;
+      candidate = `${base}-${suffix}`;
+    }
+
+    if (candidate !== this.slug) {
+      if (this.slug) {
+        this.slugAliases.addToSet(this.slug);
+      }
+      this.slugAliases.pull(candidate);
+      this.slug = candidate;
+    }
+    next();
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Query clause for posts anyone may see. Posts created before the
+// lifecycle existed have no status and count as published.
+postSchema.statics.publishedFilter = function() {
+  return { status: { $in: ['published', null] }, 'moderation.removedAt': null };
+};
+
+// Unpublished and removed posts are only shown to their author, and
+// removed posts also to moderators
+postSchema.methods.isVisibleTo = function(user) {
+  const authorId = this.author?._id || this.author;
+  if (user && String(authorId) === String(user._id)) return true;
+
+  if (this.moderation?.removedAt) {
+    return Boolean(user && user.isModerator());
+  }
+  return !this.status || this.status === 'published';
+};
+
 export default mongoose.model('Post', postSchema);
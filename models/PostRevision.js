@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+// A snapshot of a post as it was before one of its edits
+const postRevisionSchema = new mongoose.Schema({
+  post: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+  number: { type: Number, required: true },
+  title: { type: String, required: true },
+  content: { type: String, required: true },
+  image: { type: String, default: '' },
+  imageAsset: { type: mongoose.Schema.Types.ObjectId, ref: 'Asset', default: null },
+  editedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+postRevisionSchema.index({ post: 1, number: -1 }, { unique: true });
+
+// Take the next revision number from the post's counter, so concurrent
+// edits never get the same one
+const nextNumber = async (Post, postId) => {
+  const { revisionCount } = await Post.findByIdAndUpdate(
+    postId,
+    { $inc: { revisionCount: 1 } },
+    { new: true, timestamps: false }
+  ).select('revisionCount');
+  return revisionCount;
+};
+
+// Store the given title/content/image as the next revision of a post
+postRevisionSchema.statics.record = async function(post, snapshot, editedBy) {
+  const Post = this.model('Post');
+
+  let revision;
+  for (let attempt = 1; !revision; attempt++) {
+    try {
+      revision = await this.create({
+        post: post._id,
+        number: await nextNumber(Post, post._id),
+        title: snapshot.title,
+        content: snapshot.content,
+        image: snapshot.image,
+        imageAsset: snapshot.imageAsset || null,
+        editedBy
+      });
+    } catch (err) {
+      if (err.code !== 11000 || attempt >= 3) throw err;
+
+      // Posts with revisions from before the counter start behind them
+      const latest = await this.findOne({ post: post._id }).sort({ number: -1 }).select('number');
+      await Post.updateOne({ _id: post._id }, { $max: { revisionCount: latest.number } }, { timestamps: false });
+    }
+  }
+
+  // The post's history now uses the image, so replacing it doesn't delete it
+  if (revision.imageAsset) {
+    await this.model('Asset').updateOne(
+      { _id: revision.imageAsset },
+      { $addToSet: { usage: { kind: 'revision', ref: post._id } } }
+    );
+  }
+  return revision;
+};
+
+export default mongoose.model('PostRevision', postRevisionSchema);
@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+// One viewer's view of a post within one dedupe window. Only used to
+// tell repeat views apart; counts live in StatRollup, so these expire.
+const postViewSchema = new mongoose.Schema({
+  post: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+  viewer: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  // Date.now() / VIEW_WINDOW_MS, rounded down
+  window: { type: Number, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+postViewSchema.index({ post: 1, viewer: 1, window: 1 }, { unique: true });
+postViewSchema.index({ createdAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+export default mongoose.model('PostView', postViewSchema);
@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// One user's reaction to a post or comment. A user may leave several
+// different reactions on the same item, but each only once. Totals are
+// kept in the target's reactionCounts so lists don't count these.
+const reactionSchema = new mongoose.Schema({
+  targetType: { type: String, enum: ['post', 'comment'], required: true },
+  target: { type: mongoose.Schema.Types.ObjectId, required: true },
+  user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  reaction: { type: String, required: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+reactionSchema.index({ targetType: 1, target: 1, user: 1, reaction: 1 }, { unique: true });
+reactionSchema.index({ targetType: 1, target: 1, createdAt: -1, _id: -1 });
+reactionSchema.index({ targetType: 1, target: 1, reaction: 1, createdAt: -1, _id: -1 });
+reactionSchema.index({ user: 1 });
+
+export default mongoose.model('Reaction', reactionSchema);
@@ -0,0 +1,46 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+const entrySchema = new mongoose.Schema({
+  post: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', required: true },
+  addedAt: { type: Date, default: Date.now },
+  readAt: { type: Date, default: null }
+}, { _id: false });
+
+// A named list of saved posts. Every user has one default list that
+// plain bookmarks go to; entries keep the order the owner gives them.
+const readingListSchema = new mongoose.Schema({
+  owner: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  name: { type: String, required: true, trim: true, maxlength: 100 },
+  isDefault: { type: Boolean, default: false },
+  visibility: { type: String, enum: ['private', 'public'], default: 'private' },
+  // Public lists are shared by this id rather than their ObjectId
+  shareId: {
+    type: String,
+    unique: true,
+    default: () => crypto.randomBytes(9).toString('base64url')
+  },
+  entries: [entrySchema]
+}, {
+  timestamps: true
+});
+
+readingListSchema.index({ owner: 1, isDefault: 1 }, { unique: true, partialFilterExpression: { isDefault: true } });
+readingListSchema.index({ owner: 1, 'entries.post': 1 });
+readingListSchema.index({ 'entries.post': 1 });
+
+// The user's default list, created on first use
+readingListSchema.statics.defaultFor = function(ownerId) {
+  return this.findOneAndUpdate(
+    { owner: ownerId, isDefault: true },
+    { $setOnInsert: { name: 'Saved' } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Drop a deleted post from every list
+readingListSchema.statics.removePost = function(postId) {
+  return this.updateMany({ 'entries.post': postId }, { $pull: { entries: { post: postId } } });
+};
+
+export default mongoose.model('ReadingList', readingListSchema);
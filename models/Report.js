@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+export const REPORT_REASONS = ['spam', 'harassment', 'hate', 'violence', 'sexual', 'misinformation', 'other'];
+
+const reportSchema = new mongoose.Schema({
+  reporter: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  targetType: { type: String, enum: ['post', 'comment', 'user'], required: true },
+  targetId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  reason: { type: String, enum: REPORT_REASONS, required: true },
+  detail: { type: String, maxlength: 1000, default: '' },
+  // open until a moderator dismisses it or acts on the content
+  status: { type: String, enum: ['open', 'dismissed', 'actioned'], default: 'open' },
+  resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  resolvedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// One report per user per item
+reportSchema.index({ reporter: 1, targetType: 1, targetId: 1 }, { unique: true });
+reportSchema.index({ status: 1, targetType: 1, targetId: 1 });
+
+export default mongoose.model('Report', reportSchema);
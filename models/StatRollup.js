@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// Daily counters behind the analytics API. One document per author,
+// post, UTC day, metric and key; author-wide metrics such as new
+// subscribers have no post. `key` splits a metric further, e.g. the
+// referring site for 'referrer'.
+const statRollupSchema = new mongoose.Schema({
+  author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  post: { type: mongoose.Schema.Types.ObjectId, ref: 'Post', default: null },
+  day: { type: Date, required: true },
+  metric: {
+    type: String,
+    enum: ['views', 'likes', 'comments', 'subscribers', 'referrer'],
+    required: true
+  },
+  key: { type: String, default: '' },
+  count: { type: Number, default: 0 }
+});
+
+statRollupSchema.index({ author: 1, post: 1, day: 1, metric: 1, key: 1 }, { unique: true });
+statRollupSchema.index({ author: 1, metric: 1, day: 1 });
+statRollupSchema.index({ post: 1, metric: 1, day: 1 });
+
+export default mongoose.model('StatRollup', statRollupSchema);
@@ -1,7 +1,16 @@
 import mongoose from 'mongoose';
 
+// How a user wants to hear about one notification type: in the app only,
+// in the app and in their email digest, or not at all
+const notificationChannel = () => ({
+  type: String,
+  enum: ['in_app', 'email', 'off'],
+  default: 'in_app'
+});
+
 const userSchema = new mongoose.Schema({
-  email: { type: String, required: true, unique: true },
+  // Stored lowercase; scripts/normalizeEmails.js converts older accounts
+  email: { type: String, required: true, unique: true, lowercase: true },
   password: { type: String, required: true },
   firstName: { type: String, required: true },
   lastName: { type: String, required: true },
@@ -11,43 +20,77 @@ const userSchema = new mongoose.Schema({
   subscribers: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  }]
+  }],
+  // Mirror of `subscribers`: the authors this user subscribes to
+  following: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Posts in the following feed newer than this are marked unread
+  followingFeedSeenAt: { type: Date, default: null },
+  // Access tokens issued before this are rejected
+  passwordChangedAt: { type: Date, default: null },
+  failedLoginAttempts: { type: Number, default: 0 },
+  lockedUntil: { type: Date, default: null },
+  // Registration sets this to false until the email link is used. It
+  // defaults to true so accounts from before verification, and Google
+  // sign-ins, count as verified.
+  emailVerified: { type: Boolean, default: true },
+  emailVerifiedAt: { type: Date, default: null },
+  notificationPreferences: {
+    like: notificationChannel(),
+    comment: notificationChannel(),
+    reply: notificationChannel(),
+    subscribe: notificationChannel(),
+    post_created: notificationChannel()
+  },
+  digestFrequency: { type: String, enum: ['off', 'daily', 'weekly'], default: 'off' },
+  lastDigestAt: { type: Date, default: null },
+  role: { type: String, enum: ['user', 'moderator', 'admin'], default: 'user' },
+  // Suspensions lift by themselves once suspendedUntil passes; bans do not
+  accountStatus: { type: String, enum: ['active', 'suspended', 'banned'], default: 'active' },
+  suspendedUntil: { type: Date, default: null },
+  statusReason: { type: String, default: null },
+  // Hidden profiles are only shown to the user themselves and to moderators
+  profileHidden: { type: Boolean, default: false },
+  warningCount: { type: Number, default: 0 },
+  // Blocked users cannot interact with this user at all
+  blockedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+  // Muted users' posts are left out of this user's feed and search
+  mutedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
 }, {
   timestamps: true
 });
 
-userSchema.pre('remove', async function(next) {
-  try {
-    const userId = this._id;
-
-    // Delete all posts and their associated comments
-    const userPosts = await this.model('Post').find({ author: userId });
-    for (const post of userPosts) {
-      await this.model('Comment').deleteMany({ post: post._id });
-    }
-    await this.model('Post').deleteMany({ author: userId });
-
-    // Delete all comments made by the user
-    await this.model('Comment').deleteMany({ author: userId });
-
-    // Delete all notifications related to the user
-    await this.model('Notification').deleteMany({
-      $or: [
-        { 'sender._id': userId },
-        { recipient: userId }
-      ]
-    });
-
-    // Remove user from subscribers lists
-    await this.model('User').updateMany(
-      { subscribers: userId },
-      { $pull: { subscribers: userId } }
-    );
-
-    next();
-  } catch (err) {
-    next(err);
+userSchema.index({ subscribers: 1 });
+
+userSchema.methods.isModerator = function() {
+  return this.role === 'moderator' || this.role === 'admin';
+};
+
+userSchema.methods.hasBlocked = function(userId) {
+  return this.blockedUsers.some(id => String(id) === String(userId));
+};
+
+// Authors whose posts this user should not see in listings
+userSchema.methods.hiddenAuthorIds = function() {
+  return [...this.mutedUsers, ...this.blockedUsers];
+};
+
+// Whether `blockerId` has blocked `userId`
+userSchema.statics.isBlockedBy = function(blockerId, userId) {
+  return this.exists({ _id: blockerId, blockedUsers: userId }).then(Boolean);
+};
+
+// Why the user may not sign in right now, or null if they may
+userSchema.methods.accessBlockReason = function() {
+  if (this.accountStatus === 'banned') {
+    return "This account has been banned";
   }
-});
+  if (this.accountStatus === 'suspended' && this.suspendedUntil && this.suspendedUntil > new Date()) {
+    return `This account is suspended until ${this.suspendedUntil.toISOString()}`;
+  }
+  return null;
+};
 
 export default mongoose.model('User', userSchema);
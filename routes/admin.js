@@ -0,0 +1,359 @@
+import express from 'express';
+import User from '../models/User.js';
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+import ModerationLog from '../models/ModerationLog.js';
+import Report from '../models/Report.js';
+import { authMiddleware, requireRole } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../validation/admin.js';
+import { parseLimit, parsePageQuery, cursorFilter, buildPage } from '../utils/pagination.js';
+import { escapeRegex } from '../utils/search.js';
+import { revokeAllRefreshTokens } from '../utils/tokens.js';
+import { createNotification } from '../utils/notify.js';
+import { findReportTarget, reportTargetOwner, isTargetHidden, hideTarget } from '../utils/reports.js';
+
+const router = express.Router();
+
+const moderatorOnly = [authMiddleware, requireRole('moderator', 'admin')];
+const adminOnly = [authMiddleware, requireRole('admin')];
+
+const USER_FIELDS = 'email firstName lastName profilePicture role accountStatus suspendedUntil statusReason profileHidden warningCount createdAt';
+
+const logAction = (req, action, targetType, targetId, details = null) => ModerationLog.create({
+  moderator: req.user._id,
+  action,
+  targetType,
+  targetId,
+  reason: req.body.reason,
+  details
+});
+
+// Load the target user; staff accounts can only be acted on by an admin
+const loadTargetUser = async (req, res, next) => {
+  try {
+    const target = await User.findById(req.params.userId);
+    if (!target) {
+      return res.status(404).json({ msg: "User not found" });
+    }
+
+    if (String(target._id) === String(req.user._id)) {
+      return res.status(400).json({ msg: "You cannot moderate your own account" });
+    }
+    if (target.isModerator() && req.user.role !== 'admin') {
+      return res.status(403).json({ msg: "Not authorized" });
+    }
+
+    req.target = target;
+    next();
+  } catch (err) {
+    res.status(500).json({ msg: "Error fetching user" });
+  }
+};
+
+// List users, optionally filtered by ?q=, ?role= and ?status=
+router.get('/users', moderatorOnly, validate(schemas.listUsers), async (req, res) => {
+  try {
+    const { limit, cursor, invalid } = parsePageQuery(req.query);
+    if (invalid) {
+      return res.status(400).json({ msg: "Invalid cursor" });
+    }
+
+    const match = {};
+    if (req.query.q) {
+      const pattern = escapeRegex(req.query.q);
+      match.$or = [
+        { firstName: { $regex: pattern, $options: 'i' } },
+        { lastName: { $regex: pattern, $options: 'i' } },
+        { email: { $regex: pattern, $options: 'i' } }
+      ];
+    }
+    if (req.query.role) match.role = String(req.query.role);
+    if (req.query.status) match.accountStatus = String(req.query.status);
+
+    const users = await User.find({ $and: [match, cursorFilter(cursor)] })
+      .select(USER_FIELDS)
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const { items, nextCursor } = buildPage(users, limit);
+    res.json({ users: items, nextCursor });
+  } catch (err) {
+    console.error('Admin list users error:', err);
+    res.status(500).json({ msg: "Error fetching users" });
+  }
+});
+
+// Suspend an account for { days } (default 7)
+router.put('/users/:userId/suspend', moderatorOnly, validate(schemas.suspendUser), loadTargetUser, async (req, res) => {
+  try {
+    const days = req.body.days || 7;
+
+    const target = req.target;
+    if (target.accountStatus === 'banned') {
+      return res.status(400).json({ msg: "User is already banned" });
+    }
+
+    target.accountStatus = 'suspended';
+    target.suspendedUntil = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    target.statusReason = req.body.reason;
+    await target.save();
+    await revokeAllRefreshTokens(target._id);
+    await logAction(req, 'suspend', 'user', target._id, { until: target.suspendedUntil });
+
+    res.json({ msg: "User suspended", user: await User.findById(target._id).select(USER_FIELDS) });
+  } catch (err) {
+    console.error('Suspend user error:', err);
+    res.status(500).json({ msg: "Error suspending user" });
+  }
+});
+
+// Ban an account permanently
+router.put('/users/:userId/ban', adminOnly, validate(schemas.userAction), loadTargetUser, async (req, res) => {
+  try {
+    const target = req.target;
+    target.accountStatus = 'banned';
+    target.suspendedUntil = null;
+    target.statusReason = req.body.reason;
+    await target.save();
+    await revokeAllRefreshTokens(target._id);
+    await logAction(req, 'ban', 'user', target._id);
+
+    res.json({ msg: "User banned", user: await User.findById(target._id).select(USER_FIELDS) });
+  } catch (err) {
+    console.error('Ban user error:', err);
+    res.status(500).json({ msg: "Error banning user" });
+  }
+});
+
+// Lift a suspension or ban
+router.put('/users/:userId/reinstate', adminOnly, validate(schemas.userAction), loadTargetUser, async (req, res) => {
+  try {
+    const target = req.target;
+    target.accountStatus = 'active';
+    target.suspendedUntil = null;
+    target.statusReason = null;
+    await target.save();
+    await logAction(req, 'reinstate', 'user', target._id);
+
+    res.json({ msg: "User reinstated", user: await User.findById(target._id).select(USER_FIELDS) });
+  } catch (err) {
+    console.error('Reinstate user error:', err);
+    res.status(500).json({ msg: "Error reinstating user" });
+  }
+});
+
+// Change a user's role
+router.put('/users/:userId/role', adminOnly, validate(schemas.setRole), loadTargetUser, async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    const target = req.target;
+    const previous = target.role;
+    target.role = role;
+    await target.save();
+    await logAction(req, 'set_role', 'user', target._id, { from: previous, to: role });
+
+    res.json({ msg: "Role updated", user: await User.findById(target._id).select(USER_FIELDS) });
+  } catch (err) {
+    console.error('Set role error:', err);
+    res.status(500).json({ msg: "Error updating role" });
+  }
+});
+
+// Show a profile again after it was hidden because of reports
+router.post('/users/:userId/restore-profile', moderatorOnly, validate(schemas.userAction), loadTargetUser, async (req, res) => {
+  try {
+    const target = req.target;
+    if (!target.profileHidden) {
+      return res.status(400).json({ msg: "Profile is not hidden" });
+    }
+
+    target.profileHidden = false;
+    await target.save();
+    await logAction(req, 'restore', 'user', target._id);
+
+    res.json({ msg: "Profile restored", user: await User.findById(target._id).select(USER_FIELDS) });
+  } catch (err) {
+    console.error('Restore profile error:', err);
+    res.status(500).json({ msg: "Error restoring profile" });
+  }
+});
+
+// Take down a post or comment, or put it back. The document is kept so
+// the action can be reversed.
+const moderateContent = (Model, targetType, action) => async (req, res) => {
+  try {
+    const item = await Model.findById(req.params.id);
+    if (!item) {
+      return res.status(404).json({ msg: `${targetType === 'post' ? 'Post' : 'Comment'} not found` });
+    }
+
+    const isRemoved = Boolean(item.moderation?.removedAt);
+    if (action === 'remove' && isRemoved) {
+      return res.status(400).json({ msg: "Already removed" });
+    }
+    if (action === 'restore' && !isRemoved) {
+      return res.status(400).json({ msg: "Not removed" });
+    }
+
+    item.moderation = action === 'remove'
+      ? { removedAt: new Date(), removedBy: req.user._id, reason: req.body.reason }
+      : { removedAt: null, removedBy: null, reason: null };
+    await item.save();
+    await logAction(req, action, targetType, item._id);
+
+    res.json({ msg: action === 'remove' ? "Removed" : "Restored", [targetType]: item });
+  } catch (err) {
+    console.error(`Moderation ${action} error:`, err);
+    res.status(500).json({ msg: `Error updating ${targetType}` });
+  }
+};
+
+router.delete('/posts/:id', moderatorOnly, validate(schemas.contentAction), moderateContent(Post, 'post', 'remove'));
+router.post('/posts/:id/restore', moderatorOnly, validate(schemas.contentAction), moderateContent(Post, 'post', 'restore'));
+router.delete('/comments/:id', moderatorOnly, validate(schemas.contentAction), moderateContent(Comment, 'comment', 'remove'));
+router.post('/comments/:id/restore', moderatorOnly, validate(schemas.contentAction), moderateContent(Comment, 'comment', 'restore'));
+
+const REPORT_DETAILS_SHOWN = 5;
+
+// Short description of a reported item for the queue
+const describeTargets = async (groups) => {
+  const idsOf = (type) => groups.filter(group => group.targetType === type).map(group => group.targetId);
+
+  const [posts, comments, users] = await Promise.all([
+    Post.find({ _id: { $in: idsOf('post') } }).select('title author firstName lastName moderation').lean(),
+    Comment.find({ _id: { $in: idsOf('comment') } }).select('content post author firstName lastName moderation').lean(),
+    User.find({ _id: { $in: idsOf('user') } }).select('firstName lastName email profilePicture profileHidden accountStatus').lean()
+  ]);
+
+  const byId = new Map([...posts, ...comments, ...users].map(item => [String(item._id), item]));
+  return groups.map(group => ({ ...group, target: byId.get(String(group.targetId)) || null }));
+};
+
+// Reported items with open reports, most reported first
+router.get('/reports', moderatorOnly, validate(schemas.reportQueue), async (req, res) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const match = { status: 'open' };
+    if (req.query.targetType) {
+      match.targetType = req.query.targetType;
+    }
+
+    const groups = await Report.aggregate([
+      { $match: match },
+      { $sort: { createdAt: -1 } },
+      {
+        $group: {
+          _id: { targetType: '$targetType', targetId: '$targetId' },
+          reportCount: { $sum: 1 },
+          latestReportAt: { $first: '$createdAt' },
+          reasons: { $push: '$reason' },
+          reports: { $push: { reporter: '$reporter', reason: '$reason', detail: '$detail', createdAt: '$createdAt' } }
+        }
+      },
+      { $sort: { reportCount: -1, latestReportAt: -1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: limit + 1 },
+      {
+        $project: {
+          _id: 0,
+          targetType: '$_id.targetType',
+          targetId: '$_id.targetId',
+          reportCount: 1,
+          latestReportAt: 1,
+          reasons: 1,
+          reports: { $slice: ['$reports', REPORT_DETAILS_SHOWN] }
+        }
+      }
+    ]);
+
+    const hasMore = groups.length > limit;
+    const items = groups.slice(0, limit).map(({ reasons, ...group }) => ({
+      ...group,
+      reasons: reasons.reduce((counts, reason) => ({ ...counts, [reason]: (counts[reason] || 0) + 1 }), {})
+    }));
+
+    res.json({ items: await describeTargets(items), nextPage: hasMore ? page + 1 : null });
+  } catch (err) {
+    console.error('Report queue error:', err);
+    res.status(500).json({ msg: "Error fetching report queue" });
+  }
+});
+
+// Load a reported item and close its open reports once the action is done
+const reportAction = (action) => async (req, res) => {
+  try {
+    const { targetType, targetId } = req.params;
+
+    const target = await findReportTarget(targetType, targetId);
+    if (!target && action !== 'dismiss') {
+      return res.status(404).json({ msg: "Reported item not found" });
+    }
+
+    if (action === 'hide' && !isTargetHidden(targetType, target)) {
+      await hideTarget(targetType, target, { moderator: req.user._id, reason: req.body.reason });
+      await logAction(req, 'remove', targetType, target._id);
+    }
+
+    if (action === 'warn') {
+      const owner = reportTargetOwner(targetType, target);
+      // Sent without a sender; the moderation log records who it was
+      await createNotification({
+        recipient: owner,
+        post: targetType === 'post' ? target._id : targetType === 'comment' ? target.post : undefined,
+        comment: targetType === 'comment' ? target._id : undefined,
+        type: 'warning',
+        message: req.body.reason
+      });
+      await User.updateOne({ _id: owner }, { $inc: { warningCount: 1 } });
+      await logAction(req, 'warn', 'user', owner, { targetType, targetId });
+    }
+
+    if (action === 'dismiss') {
+      await logAction(req, 'dismiss_reports', targetType, targetId);
+    }
+
+    const result = await Report.updateMany(
+      { targetType, targetId, status: 'open' },
+      {
+        status: action === 'dismiss' ? 'dismissed' : 'actioned',
+        resolvedBy: req.user._id,
+        resolvedAt: new Date()
+      }
+    );
+
+    res.json({ msg: "Reports resolved", resolved: result.modifiedCount });
+  } catch (err) {
+    console.error(`Report ${action} error:`, err);
+    res.status(500).json({ msg: "Error resolving reports" });
+  }
+};
+
+router.post('/reports/:targetType/:targetId/dismiss', moderatorOnly, validate(schemas.reportAction), reportAction('dismiss'));
+router.post('/reports/:targetType/:targetId/hide', moderatorOnly, validate(schemas.reportAction), reportAction('hide'));
+router.post('/reports/:targetType/:targetId/warn', moderatorOnly, validate(schemas.reportAction), reportAction('warn'));
+
+// Moderation audit log, newest first
+router.get('/log', moderatorOnly, validate(schemas.moderationLog), async (req, res) => {
+  try {
+    const { limit, cursor, invalid } = parsePageQuery(req.query);
+    if (invalid) {
+      return res.status(400).json({ msg: "Invalid cursor" });
+    }
+
+    const entries = await ModerationLog.find(cursorFilter(cursor))
+      .populate('moderator', 'firstName lastName')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const { items, nextCursor } = buildPage(entries, limit);
+    res.json({ entries: items, nextCursor });
+  } catch (err) {
+    res.status(500).json({ msg: "Error fetching moderation log" });
+  }
+});
+
+export default router;
@@ -1,17 +1,17 @@
 import express from 'express';
 import axios from 'axios';
 import { authMiddleware } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../validation/ai.js';
 
 const router = express.Router();
 
-router.post('/improve-content', authMiddleware, async (req, res) => {
+// Each call spends paid TextGears quota, so it is limited per IP and per user
+router.post('/improve-content', rateLimit('ai_ip'), authMiddleware, rateLimit('ai_user'), validate(schemas.improveContent), async (req, res) => {
   try {
     const { content } = req.body;
     
-    if (!content) {
-      return res.status(400).json({ msg: "Content is required" });
-    }
-
     console.log('Making request to TextGears API...');
     const response = await axios.post('https://api.textgears.com/grammar', { // Changed endpoint
       text: content,
@@ -0,0 +1,106 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import Post from '../models/Post.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../validation/analytics.js';
+import { resolveRange, statSeries, topPosts, referrerBreakdown } from '../utils/analytics.js';
+
+// Stats for the signed-in author's own posts, read from daily rollups
+const router = express.Router();
+
+const MAX_RANGE_DAYS = 366;
+
+// Resolve the requested range, or answer 400 and return null
+const rangeOrReject = (req, res) => {
+  const range = resolveRange(req.query);
+  const days = (range.to - range.from) / (24 * 60 * 60 * 1000) + 1;
+  if (days < 1) {
+    res.status(400).json({ msg: "from must not be after to" });
+    return null;
+  }
+  if (days > MAX_RANGE_DAYS) {
+    res.status(400).json({ msg: `Range must be at most ${MAX_RANGE_DAYS} days` });
+    return null;
+  }
+  return range;
+};
+
+// Views, likes, comments and new subscribers across all of the author's posts
+router.get('/', authMiddleware, validate(schemas.overview), async (req, res) => {
+  try {
+    const range = rangeOrReject(req, res);
+    if (!range) return;
+
+    const series = await statSeries({ author: req.user._id }, { ...range, interval: req.query.interval });
+    res.json(series);
+  } catch (err) {
+    console.error('Analytics overview error:', err);
+    res.status(500).json({ msg: "Error fetching analytics" });
+  }
+});
+
+// The author's posts ranked by ?metric=views|likes|comments
+router.get('/posts/top', authMiddleware, validate(schemas.topPosts), async (req, res) => {
+  try {
+    const range = rangeOrReject(req, res);
+    if (!range) return;
+
+    const posts = await topPosts(req.user._id, {
+      ...range,
+      metric: req.query.metric || 'views',
+      limit: Number(req.query.limit) || 10
+    });
+    res.json({ from: range.from, to: range.to, metric: req.query.metric || 'views', posts });
+  } catch (err) {
+    console.error('Top posts error:', err);
+    res.status(500).json({ msg: "Error fetching analytics" });
+  }
+});
+
+// Where views came from, for all posts or ?postId=
+router.get('/referrers', authMiddleware, validate(schemas.referrers), async (req, res) => {
+  try {
+    const range = rangeOrReject(req, res);
+    if (!range) return;
+
+    const match = { author: req.user._id };
+    if (req.query.postId) {
+      match.post = new mongoose.Types.ObjectId(req.query.postId);
+    }
+
+    const referrers = await referrerBreakdown(match, { ...range, limit: Number(req.query.limit) || 20 });
+    res.json({ from: range.from, to: range.to, referrers });
+  } catch (err) {
+    console.error('Referrers error:', err);
+    res.status(500).json({ msg: "Error fetching analytics" });
+  }
+});
+
+// Series and referrers for one of the author's posts
+router.get('/posts/:id', authMiddleware, validate(schemas.postStats), async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select('author title');
+    if (!post) {
+      return res.status(404).json({ msg: "Post not found" });
+    }
+    if (String(post.author) !== String(req.user._id)) {
+      return res.status(403).json({ msg: "Not authorized to view this post's analytics" });
+    }
+
+    const range = rangeOrReject(req, res);
+    if (!range) return;
+
+    const match = { author: post.author, post: post._id };
+    const [series, referrers] = await Promise.all([
+      statSeries(match, { ...range, interval: req.query.interval, metrics: ['views', 'likes', 'comments'] }),
+      referrerBreakdown(match, range)
+    ]);
+    res.json({ post: { _id: post._id, title: post.title }, ...series, referrers });
+  } catch (err) {
+    console.error('Post analytics error:', err);
+    res.status(500).json({ msg: "Error fetching analytics" });
+  }
+});
+
+export default router;
@@ -1,18 +1,44 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
 import Post from '../models/Post.js';
 import Comment from '../models/Comment.js';
 import Notification from '../models/Notification.js';
+import PostRevision from '../models/PostRevision.js';
+import RefreshToken from '../models/RefreshToken.js';
+import ActionToken from '../models/ActionToken.js';
+import ReadingList from '../models/ReadingList.js';
+import StatRollup from '../models/StatRollup.js';
+import PostView from '../models/PostView.js';
 import upload from '../middleware/upload.js';
-import cloudinary from '../config/cloudinary.js';
 import { authMiddleware } from '../middleware/auth.js';  // Add this import
 import passport from 'passport';
+import {
+  RefreshTokenError,
+  signAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllRefreshTokens
+} from '../utils/tokens.js';
+import { ActionTokenError, createActionToken, consumeActionToken } from '../utils/actionTokens.js';
+import { sendMail } from '../mail/index.js';
+import { createNotification } from '../utils/notify.js';
+import { parseLimit } from '../utils/pagination.js';
+import { lockoutRemainingMs, recordFailedLogin, clearFailedLogins } from '../utils/loginLockout.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { createAsset, syncAssetUsage, deleteUserAssets } from '../utils/media.js';
+import { trackStat } from '../utils/analytics.js';
+import { deleteReactionsFor, deleteUserReactions } from '../utils/reactions.js';
+import { HttpError } from '../utils/errors.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../validation/auth.js';
+import { verificationEmail, passwordResetEmail } from '../mail/templates.js';
+import { appUrl } from '../utils/urls.js';
 
 const router = express.Router();
 
-router.post('/register', async (req, res) => {
+router.post('/register', rateLimit('register'), validate(schemas.register), async (req, res) => {
   const { email, password, firstName, lastName, dateOfBirth } = req.body;
   const exists = await User.findOne({ email });
   if (exists) return res.status(400).json({ msg: "Email exists" });
@@ -23,35 +49,137 @@ router.post('/register', async (req, res) => {
     password: hashed,
     firstName,
     lastName,
-    dateOfBirth: new Date(dateOfBirth)
+    dateOfBirth: new Date(dateOfBirth),
+    emailVerified: false
   });
   await user.save();
+
+  try {
+    const token = await createActionToken(user, 'verify_email');
+    await sendMail(verificationEmail(user, token));
+  } catch (mailErr) {
+    console.error('Verification email error:', mailErr);
+    // The user can ask for another email later
+  }
+
   res.status(201).json({ msg: "User created" });
 });
 
-router.post('/login', async (req, res) => {
+// Confirm an email address from the link sent at registration
+router.post('/verify-email', validate(schemas.tokenBody), async (req, res) => {
+  try {
+    const { token } = req.body;
+    const userId = await consumeActionToken(token, 'verify_email');
+    const user = await User.findByIdAndUpdate(
+      userId,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+    if (!user) {
+      return res.status(404).json({ msg: "User not found" });
+    }
+
+    res.json({ msg: "Email verified" });
+  } catch (err) {
+    if (err instanceof ActionTokenError) {
+      return res.status(400).json({ msg: err.message });
+    }
+    console.error('Email verification error:', err);
+    res.status(500).json({ msg: "Error verifying email" });
+  }
+});
+
+// Send a fresh verification link
+router.post('/resend-verification', authMiddleware, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({ msg: "Email already verified" });
+    }
+
+    const token = await createActionToken(req.user, 'verify_email');
+    await sendMail(verificationEmail(req.user, token));
+    res.json({ msg: "Verification email sent" });
+  } catch (err) {
+    console.error('Resend verification error:', err);
+    res.status(500).json({ msg: "Error sending verification email" });
+  }
+});
+
+// Email a password reset link. The response is the same whether or not
+// the address belongs to an account.
+router.post('/forgot-password', rateLimit('password_reset'), validate(schemas.forgotPassword), async (req, res) => {
+  try {
+    const user = await User.findOne({ email: req.body.email });
+    if (user) {
+      const token = await createActionToken(user, 'reset_password');
+      await sendMail(passwordResetEmail(user, token));
+    }
+
+    res.json({ msg: "If that email is registered, a reset link has been sent" });
+  } catch (err) {
+    console.error('Forgot password error:', err);
+    res.status(500).json({ msg: "Error sending reset email" });
+  }
+});
+
+// Set a new password from a reset link and sign out every session
+router.post('/reset-password', rateLimit('password_reset'), validate(schemas.resetPassword), async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    const userId = await consumeActionToken(token, 'reset_password');
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ msg: "User not found" });
+    }
+
+    user.password = await bcrypt.hash(password, 10);
+    // Backdated a second, like /update, so a login right after the reset
+    // (token iat is in whole seconds) isn't rejected
+    user.passwordChangedAt = new Date(Date.now() - 1000);
+    // Receiving the link proves the user owns the address
+    user.emailVerified = true;
+    await user.save();
+    await revokeAllRefreshTokens(user._id);
+
+    res.json({ msg: "Password has been reset" });
+  } catch (err) {
+    if (err instanceof ActionTokenError) {
+      return res.status(400).json({ msg: err.message });
+    }
+    console.error('Reset password error:', err);
+    res.status(500).json({ msg: "Error resetting password" });
+  }
+});
+
+router.post('/login', rateLimit('login'), validate(schemas.login), async (req, res) => {
   const { email, password } = req.body;
   const user = await User.findOne({ email });
   if (!user) return res.status(400).json({ msg: "Invalid email" });
 
+  // Repeated failures lock the account for longer each time
+  const lockedMs = lockoutRemainingMs(user);
+  if (lockedMs > 0) {
+    res.set('Retry-After', String(Math.ceil(lockedMs / 1000)));
+    return res.status(429).json({ msg: "Too many failed attempts, please try again later" });
+  }
+
   const isMatch = await bcrypt.compare(password, user.password);
-  if (!isMatch) return res.status(400).json({ msg: "Wrong password" });
-
-  const token = jwt.sign({ 
-    id: user._id, 
-    email: user.email,
-    firstName: user.firstName,
-    lastName: user.lastName,
-    profilePicture: user.profilePicture
-  }, process.env.JWT_SECRET, {
-    expiresIn: '1h'
-  });
+  if (!isMatch) {
+    await recordFailedLogin(user._id);
+    return res.status(400).json({ msg: "Wrong password" });
+  }
+  await clearFailedLogins(user);
+
+  const blocked = user.accessBlockReason();
+  if (blocked) return res.status(403).json({ msg: blocked });
 
-  res.json({ token });
+  const { token, refreshToken } = await issueTokens(user);
+
+  res.json({ token, refreshToken });
 });
 
 // Update the update route
-router.put('/update', authMiddleware, async (req, res) => {
+router.put('/update', authMiddleware, validate(schemas.updateProfile), async (req, res) => {
   const { firstName, lastName, currentPassword, newPassword, profilePicture, about } = req.body;
   
   try {
@@ -62,6 +190,8 @@ router.put('/update', authMiddleware, async (req, res) => {
       const isMatch = await bcrypt.compare(currentPassword, user.password);
       if (!isMatch) return res.status(400).json({ msg: "Current password is incorrect" });
       user.password = await bcrypt.hash(newPassword, 10);
+      // Backdated a second so the token issued below is still accepted
+      user.passwordChangedAt = new Date(Date.now() - 1000);
     }
 
     // Check if name is being updated
@@ -98,16 +228,15 @@ router.put('/update', authMiddleware, async (req, res) => {
       );
     }
 
+    // A password change signs out every other session
+    if (newPassword) {
+      await revokeAllRefreshTokens(user._id);
+      const { token, refreshToken } = await issueTokens(user);
+      return res.json({ token, refreshToken, msg: "Profile updated successfully" });
+    }
+
     // Generate new token with updated info
-    const token = jwt.sign({ 
-      id: user._id, 
-      email: user.email,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      profilePicture: user.profilePicture
-    }, process.env.JWT_SECRET, {
-      expiresIn: '1h'
-    });
+    const token = signAccessToken(user);
 
     res.json({ token, msg: "Profile updated successfully" });
   } catch (err) {
@@ -117,7 +246,7 @@ router.put('/update', authMiddleware, async (req, res) => {
 });
 
 // Get user profile by ID
-router.get('/profile/:userId', authMiddleware, async (req, res) => {
+router.get('/profile/:userId', authMiddleware, validate(schemas.userId), async (req, res) => {
   try {
     const user = await User.findById(req.params.userId)
       .select('-password'); // Exclude password
@@ -126,35 +255,66 @@ router.get('/profile/:userId', authMiddleware, async (req, res) => {
       return res.status(404).json({ msg: "User not found" });
     }
 
+    const isSelf = String(user._id) === String(req.user._id);
+    if (user.profileHidden && !isSelf && !req.user.isModerator()) {
+      return res.status(404).json({ msg: "User not found" });
+    }
+
     res.json(user);
   } catch (err) {
     res.status(500).json({ msg: "Error fetching user profile" });
   }
 });
 
-// Add this new route
-router.post('/refresh-token', authMiddleware, async (req, res) => {
+// Exchange a refresh token for a new access token and refresh token.
+// The user comes from the stored token, never from the request body.
+router.post('/refresh-token', rateLimit('refresh'), validate(schemas.refreshTokenBody), async (req, res) => {
   try {
-    const { user } = req.body;
-    
-    // Generate new token with updated user info
-    const token = jwt.sign({ 
-      id: user.id,
-      email: user.email,
-      firstName: user.firstName,
-      lastName: user.lastName,
-      profilePicture: user.profilePicture
-    }, process.env.JWT_SECRET, {
-      expiresIn: '1h'
-    });
+    const { refreshToken } = req.body;
+    const rotated = await rotateRefreshToken(refreshToken);
+    const user = await User.findById(rotated.userId);
+    if (!user) {
+      return res.status(401).json({ msg: "User not found" });
+    }
+
+    const blocked = user.accessBlockReason();
+    if (blocked) {
+      return res.status(403).json({ msg: blocked });
+    }
 
-    res.json({ token });
+    res.json({ token: signAccessToken(user), refreshToken: rotated.refreshToken });
   } catch (err) {
+    if (err instanceof RefreshTokenError) {
+      return res.status(401).json({ msg: err.message });
+    }
     console.error('Token refresh error:', err);
     res.status(500).json({ msg: "Error refreshing token" });
   }
 });
 
+// Revoke the refresh token of the current session
+router.post('/logout', validate(schemas.refreshTokenBody), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    await revokeRefreshToken(refreshToken);
+    res.json({ msg: "Logged out" });
+  } catch (err) {
+    console.error('Logout error:', err);
+    res.status(500).json({ msg: "Error logging out" });
+  }
+});
+
+// Revoke every refresh token the user holds
+router.post('/logout-all', authMiddleware, async (req, res) => {
+  try {
+    await revokeAllRefreshTokens(req.user._id);
+    res.json({ msg: "Logged out of all sessions" });
+  } catch (err) {
+    console.error('Logout all error:', err);
+    res.status(500).json({ msg: "Error logging out" });
+  }
+});
+
 // Update the upload-avatar endpoint
 router.post('/upload-avatar', authMiddleware, upload.single('image'), async (req, res) => {
   try {
@@ -162,37 +322,45 @@ router.post('/upload-avatar', authMiddleware, upload.single('image'), async (req
       return res.status(400).json({ msg: "No image file provided" });
     }
 
-    const b64 = Buffer.from(req.file.buffer).toString('base64');
-    const dataURI = `data:${req.file.mimetype};base64,${b64}`;
-    
-    const uploadResponse = await cloudinary.uploader.upload(dataURI, {
-      folder: 'profile_pictures',
-      resource_type: 'auto'
-    });
+    let asset;
+    try {
+      asset = await createAsset(req.user._id, req.file, 'profile_pictures');
+    } catch (uploadErr) {
+      if (uploadErr instanceof HttpError) {
+        return res.status(uploadErr.status).json({ msg: uploadErr.message, details: uploadErr.details });
+      }
+      throw uploadErr;
+    }
+    // Avatars are shown small everywhere, so the square thumbnail is used
+    const variants = asset.variantUrls();
+    const imageUrl = variants.thumbnail;
+
+    // The previous avatar is deleted unless something else still uses it
+    await syncAssetUsage('avatar', req.user._id, [asset._id]);
 
     // Handle notifications update with try-catch
     try {
       // Update user in database
       await User.findByIdAndUpdate(req.user.id, {
-        profilePicture: uploadResponse.secure_url
+        profilePicture: imageUrl
       });
 
       // Update all posts
       await Post.updateMany(
         { author: req.user.id },
-        { profilePicture: uploadResponse.secure_url }
+        { profilePicture: imageUrl }
       );
 
       // Update all comments
       await Comment.updateMany(
         { author: req.user.id },
-        { profilePicture: uploadResponse.secure_url }
+        { profilePicture: imageUrl }
       );
 
       // Update all notifications (wrap in try-catch in case Notification collection doesn't exist)
       await Notification.updateMany(
         { 'sender._id': req.user.id },
-        { 'sender.profilePicture': uploadResponse.secure_url }
+        { 'sender.profilePicture': imageUrl }
       );
 
     } catch (updateErr) {
@@ -200,7 +368,7 @@ router.post('/upload-avatar', authMiddleware, upload.single('image'), async (req
       // Continue execution even if updating references fails
     }
 
-    res.json({ imageUrl: uploadResponse.secure_url });
+    res.json({ imageUrl, variants });
   } catch (err) {
     console.error('Avatar upload error:', err);
     res.status(500).json({ msg: "Error uploading avatar" });
@@ -208,7 +376,7 @@ router.post('/upload-avatar', authMiddleware, upload.single('image'), async (req
 });
 
 // Update the subscribe route
-router.put('/subscribe/:userId', authMiddleware, async (req, res) => {
+router.put('/subscribe/:userId', authMiddleware, validate(schemas.userId), async (req, res) => {
   try {
     const userToSubscribe = await User.findById(req.params.userId);
     if (!userToSubscribe) {
@@ -223,6 +391,10 @@ router.put('/subscribe/:userId', authMiddleware, async (req, res) => {
       return res.status(400).json({ msg: "Cannot subscribe to yourself" });
     }
 
+    if (userToSubscribe.hasBlocked(currentUserId)) {
+      return res.status(403).json({ msg: "You cannot subscribe to this user" });
+    }
+
     // Check if already subscribed
     const isSubscribed = userToSubscribe.subscribers.some(
       id => id.toString() === currentUserId
@@ -233,23 +405,19 @@ router.put('/subscribe/:userId', authMiddleware, async (req, res) => {
       userToSubscribe.subscribers = userToSubscribe.subscribers.filter(
         id => id.toString() !== currentUserId
       );
+      trackStat({ author: userToSubscribe._id, metric: 'subscribers', amount: -1 });
     } else {
       // Subscribe
       userToSubscribe.subscribers.push(req.user._id);
+      trackStat({ author: userToSubscribe._id, metric: 'subscribers' });
       
       try {
         // Create notification
-        const notification = new Notification({
+        await createNotification({
           recipient: userToSubscribe._id,
-          sender: {
-            _id: req.user._id,
-            firstName: req.user.firstName,
-            lastName: req.user.lastName,
-            profilePicture: req.user.profilePicture
-          },
+          sender: req.user._id,
           type: 'subscribe'
         });
-        await notification.save();
       } catch (notifErr) {
         console.error('Notification creation error:', notifErr);
         // Continue even if notification fails
@@ -257,6 +425,12 @@ router.put('/subscribe/:userId', authMiddleware, async (req, res) => {
     }
 
     await userToSubscribe.save();
+    await User.updateOne(
+      { _id: req.user._id },
+      isSubscribed
+        ? { $pull: { following: userToSubscribe._id } }
+        : { $addToSet: { following: userToSubscribe._id } }
+    );
 
     res.json({ 
       isSubscribed: !isSubscribed,
@@ -269,7 +443,7 @@ router.put('/subscribe/:userId', authMiddleware, async (req, res) => {
 });
 
 // Update the get subscription status route
-router.get('/subscribe/:userId', authMiddleware, async (req, res) => {
+router.get('/subscribe/:userId', authMiddleware, validate(schemas.userId), async (req, res) => {
   try {
     const user = await User.findById(req.params.userId);
     if (!user) {
@@ -290,6 +464,122 @@ router.get('/subscribe/:userId', authMiddleware, async (req, res) => {
   }
 });
 
+// List one side of a user's subscriptions, a page at a time
+const listConnections = (field) => async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select(field);
+    if (!user) {
+      return res.status(404).json({ msg: "User not found" });
+    }
+
+    const limit = parseLimit(req.query.limit, 20);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    // Newest connections are at the end of the array
+    const ids = [...user[field]].reverse();
+    const pageIds = ids.slice((page - 1) * limit, page * limit);
+
+    const users = await User.find({ _id: { $in: pageIds } })
+      .select('firstName lastName profilePicture about');
+    const byId = new Map(users.map(u => [String(u._id), u]));
+
+    res.json({
+      users: pageIds.map(id => byId.get(String(id))).filter(Boolean),
+      count: ids.length,
+      nextPage: page * limit < ids.length ? page + 1 : null
+    });
+  } catch (err) {
+    console.error(`Error fetching ${field}:`, err);
+    res.status(500).json({ msg: "Error fetching users" });
+  }
+};
+
+// Users subscribed to :userId
+router.get('/followers/:userId', authMiddleware, validate(schemas.connections), listConnections('subscribers'));
+
+// Users :userId subscribes to
+router.get('/following/:userId', authMiddleware, validate(schemas.connections), listConnections('following'));
+
+// Block or unblock a user. Blocking also ends any subscription between
+// the two users, in both directions.
+router.put('/block/:userId', authMiddleware, validate(schemas.userId), async (req, res) => {
+  try {
+    const target = await User.findById(req.params.userId);
+    if (!target) {
+      return res.status(404).json({ msg: "User not found" });
+    }
+
+    if (String(target._id) === String(req.user._id)) {
+      return res.status(400).json({ msg: "Cannot block yourself" });
+    }
+
+    const isBlocked = req.user.hasBlocked(target._id);
+    if (isBlocked) {
+      await User.updateOne({ _id: req.user._id }, { $pull: { blockedUsers: target._id } });
+    } else {
+      await User.updateOne(
+        { _id: req.user._id },
+        { $addToSet: { blockedUsers: target._id }, $pull: { subscribers: target._id, following: target._id } }
+      );
+      await User.updateOne(
+        { _id: target._id },
+        { $pull: { subscribers: req.user._id, following: req.user._id } }
+      );
+
+      // Each subscription that ended is a lost subscriber
+      const subscribedTo = (user, subscriber) => user.subscribers.some(id => String(id) === String(subscriber._id));
+      if (subscribedTo(req.user, target)) {
+        trackStat({ author: req.user._id, metric: 'subscribers', amount: -1 });
+      }
+      if (subscribedTo(target, req.user)) {
+        trackStat({ author: target._id, metric: 'subscribers', amount: -1 });
+      }
+    }
+
+    res.json({ isBlocked: !isBlocked });
+  } catch (err) {
+    console.error('Block error:', err);
+    res.status(500).json({ msg: "Error updating block" });
+  }
+});
+
+// Mute or unmute a user
+router.put('/mute/:userId', authMiddleware, validate(schemas.userId), async (req, res) => {
+  try {
+    const target = await User.findById(req.params.userId);
+    if (!target) {
+      return res.status(404).json({ msg: "User not found" });
+    }
+
+    if (String(target._id) === String(req.user._id)) {
+      return res.status(400).json({ msg: "Cannot mute yourself" });
+    }
+
+    const isMuted = req.user.mutedUsers.some(id => String(id) === String(target._id));
+    await User.updateOne(
+      { _id: req.user._id },
+      isMuted ? { $pull: { mutedUsers: target._id } } : { $addToSet: { mutedUsers: target._id } }
+    );
+
+    res.json({ isMuted: !isMuted });
+  } catch (err) {
+    console.error('Mute error:', err);
+    res.status(500).json({ msg: "Error updating mute" });
+  }
+});
+
+// Get the current user's blocked and muted users
+router.get('/blocked', authMiddleware, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .populate('blockedUsers', 'firstName lastName profilePicture')
+      .populate('mutedUsers', 'firstName lastName profilePicture');
+
+    res.json({ blocked: user.blockedUsers, muted: user.mutedUsers });
+  } catch (err) {
+    res.status(500).json({ msg: "Error fetching blocked users" });
+  }
+});
+
 // Add after other routes, before export
 router.delete('/delete-account', authMiddleware, async (req, res) => {
   try {
@@ -298,13 +588,20 @@ router.delete('/delete-account', authMiddleware, async (req, res) => {
     // Delete all posts and their associated comments
     const userPosts = await Post.find({ author: userId });
     for (const post of userPosts) {
-      // Delete comments for each post
+      // Delete comments and reactions for each post
+      await deleteReactionsFor('comment', await Comment.find({ post: post._id }).distinct('_id'));
+      await deleteReactionsFor('post', [post._id]);
       await Comment.deleteMany({ post: post._id });
+      await PostRevision.deleteMany({ post: post._id });
+      await ReadingList.removePost(post._id);
     }
     await Post.deleteMany({ author: userId });
 
-    // Delete all comments made by the user on other posts
+    // Delete all comments made by the user on other posts, and every
+    // reaction they left
+    await deleteReactionsFor('comment', await Comment.find({ author: userId }).distinct('_id'));
     await Comment.deleteMany({ author: userId });
+    await deleteUserReactions(userId);
 
     // Delete all notifications where user is sender or recipient
     await Notification.deleteMany({
@@ -314,12 +611,19 @@ router.delete('/delete-account', authMiddleware, async (req, res) => {
       ]
     });
 
-    // Remove user from other users' subscribers arrays
+    // Remove user from other users' subscribers, block and mute lists
     await User.updateMany(
-      { subscribers: userId },
-      { $pull: { subscribers: userId } }
+      { $or: [{ subscribers: userId }, { following: userId }, { blockedUsers: userId }, { mutedUsers: userId }] },
+      { $pull: { subscribers: userId, following: userId, blockedUsers: userId, mutedUsers: userId } }
     );
 
+    await RefreshToken.deleteMany({ user: userId });
+    await ActionToken.deleteMany({ user: userId });
+    await ReadingList.deleteMany({ owner: userId });
+    await deleteUserAssets(userId);
+    await StatRollup.deleteMany({ author: userId });
+    await PostView.deleteMany({ viewer: userId });
+
     // Finally, delete the user
     await User.findByIdAndDelete(userId);
 
@@ -336,21 +640,45 @@ router.get('/google',
 
 router.get('/google/callback',
   passport.authenticate('google', { session: false }),
-  (req, res) => {
-    // Generate JWT token
-    const token = jwt.sign({ 
-      id: req.user._id, 
-      email: req.user.email,
-      firstName: req.user.firstName,
-      lastName: req.user.lastName,
-      profilePicture: req.user.profilePicture
-    }, process.env.JWT_SECRET, {
-      expiresIn: '1h'
-    });
+  async (req, res) => {
+    try {
+      const blocked = req.user.accessBlockReason();
+      if (blocked) {
+        return res.redirect(`${appUrl()}/oauth-callback?error=${encodeURIComponent(blocked)}`);
+      }
 
-    // Redirect to frontend with token
-    res.redirect(`http://localhost:3000/oauth-callback?token=${token}`);
+      // Tokens in a URL end up in logs, history and Referer headers, so
+      // the frontend gets a one-minute, single-use code to exchange instead
+      const code = await createActionToken(req.user, 'oauth_login');
+      res.redirect(`${appUrl()}/oauth-callback?code=${encodeURIComponent(code)}`);
+    } catch (err) {
+      console.error('Google callback error:', err);
+      res.status(500).json({ msg: "Error signing in with Google" });
+    }
   }
 );
 
+// Swap the code from the Google callback for access and refresh tokens
+router.post('/google/exchange', rateLimit('login'), validate(schemas.oauthCode), async (req, res) => {
+  try {
+    const userId = await consumeActionToken(req.body.code, 'oauth_login');
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ msg: "User not found" });
+    }
+
+    const blocked = user.accessBlockReason();
+    if (blocked) return res.status(403).json({ msg: blocked });
+
+    const { token, refreshToken } = await issueTokens(user);
+    res.json({ token, refreshToken });
+  } catch (err) {
+    if (err instanceof ActionTokenError) {
+      return res.status(400).json({ msg: err.message });
+    }
+    console.error('Google exchange error:', err);
+    res.status(500).json({ msg: "Error signing in with Google" });
+  }
+});
+
 export default router;
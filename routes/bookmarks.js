@@ -0,0 +1,225 @@
+import express from 'express';
+import ReadingList from '../models/ReadingList.js';
+import Post from '../models/Post.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../validation/bookmarks.js';
+
+const router = express.Router();
+
+const POST_FIELDS = 'title slug image author firstName lastName profilePicture status moderation createdAt';
+
+const summarizeList = (list) => ({
+  _id: list._id,
+  name: list.name,
+  isDefault: list.isDefault,
+  visibility: list.visibility,
+  shareId: list.visibility === 'public' ? list.shareId : undefined,
+  entryCount: list.entries.length,
+  unreadCount: list.entries.filter(entry => !entry.readAt).length,
+  updatedAt: list.updatedAt
+});
+
+// Populate entries, dropping posts the viewer may no longer see
+const listWithPosts = async (list, viewer) => {
+  await list.populate({ path: 'entries.post', select: POST_FIELDS });
+  return {
+    ...summarizeList(list),
+    entries: list.entries
+      .filter(entry => entry.post && entry.post.isVisibleTo(viewer))
+      .map(entry => entry.toObject())
+  };
+};
+
+// Load one of the current user's lists into req.list
+const loadOwnList = async (req, res, next) => {
+  try {
+    const list = await ReadingList.findOne({ _id: req.params.listId, owner: req.user._id });
+    if (!list) {
+      return res.status(404).json({ msg: "List not found" });
+    }
+
+    req.list = list;
+    next();
+  } catch (err) {
+    res.status(500).json({ msg: "Error fetching list" });
+  }
+};
+
+// Bookmark a post into { listId } or the default list
+router.post('/', authMiddleware, validate(schemas.addBookmark), async (req, res) => {
+  try {
+    const { postId, listId } = req.body;
+    const post = await Post.findById(postId);
+    if (!post || !post.isVisibleTo(req.user)) {
+      return res.status(404).json({ msg: "Post not found" });
+    }
+
+    let list;
+    if (listId) {
+      list = await ReadingList.findOne({ _id: listId, owner: req.user._id });
+      if (!list) {
+        return res.status(404).json({ msg: "List not found" });
+      }
+    } else {
+      list = await ReadingList.defaultFor(req.user._id);
+    }
+
+    if (list.entries.some(entry => String(entry.post) === String(post._id))) {
+      return res.status(409).json({ msg: "Post is already in this list" });
+    }
+
+    list.entries.push({ post: post._id });
+    await list.save();
+
+    res.status(201).json(summarizeList(list));
+  } catch (err) {
+    console.error('Bookmark error:', err);
+    res.status(500).json({ msg: "Error saving bookmark" });
+  }
+});
+
+// Get the current user's lists
+router.get('/lists', authMiddleware, async (req, res) => {
+  try {
+    await ReadingList.defaultFor(req.user._id);
+    const lists = await ReadingList.find({ owner: req.user._id })
+      .sort({ isDefault: -1, createdAt: 1 });
+    res.json(lists.map(summarizeList));
+  } catch (err) {
+    res.status(500).json({ msg: "Error fetching lists" });
+  }
+});
+
+// Create a named list
+router.post('/lists', authMiddleware, validate(schemas.createList), async (req, res) => {
+  try {
+    const { name, visibility } = req.body;
+
+    const list = await ReadingList.create({ owner: req.user._id, name, visibility });
+    res.status(201).json(summarizeList(list));
+  } catch (err) {
+    console.error('Create list error:', err);
+    res.status(500).json({ msg: "Error creating list" });
+  }
+});
+
+// Get one of the current user's lists with its posts
+router.get('/lists/:listId', authMiddleware, validate(schemas.listId), loadOwnList, async (req, res) => {
+  try {
+    res.json(await listWithPosts(req.list, req.user));
+  } catch (err) {
+    res.status(500).json({ msg: "Error fetching list" });
+  }
+});
+
+// Rename a list or change its visibility
+router.put('/lists/:listId', authMiddleware, validate(schemas.updateList), loadOwnList, async (req, res) => {
+  try {
+    const { name, visibility } = req.body;
+    if (name !== undefined) {
+      req.list.name = name;
+    }
+    if (visibility !== undefined) {
+      req.list.visibility = visibility;
+    }
+
+    await req.list.save();
+    res.json(summarizeList(req.list));
+  } catch (err) {
+    console.error('Update list error:', err);
+    res.status(500).json({ msg: "Error updating list" });
+  }
+});
+
+// Delete a named list
+router.delete('/lists/:listId', authMiddleware, validate(schemas.listId), loadOwnList, async (req, res) => {
+  try {
+    if (req.list.isDefault) {
+      return res.status(400).json({ msg: "The default list cannot be deleted" });
+    }
+
+    await req.list.deleteOne();
+    res.json({ msg: "List deleted" });
+  } catch (err) {
+    res.status(500).json({ msg: "Error deleting list" });
+  }
+});
+
+// Reorder a list: { postIds } in the new order. Every entry must be listed.
+router.put('/lists/:listId/order', authMiddleware, validate(schemas.reorderList), loadOwnList, async (req, res) => {
+  try {
+    const { postIds } = req.body;
+    const entries = new Map(req.list.entries.map(entry => [String(entry.post), entry]));
+
+    const isPermutation = Array.isArray(postIds)
+      && postIds.length === entries.size
+      && new Set(postIds.map(String)).size === entries.size
+      && postIds.every(id => entries.has(String(id)));
+    if (!isPermutation) {
+      return res.status(400).json({ msg: "postIds must list every entry exactly once" });
+    }
+
+    req.list.entries = postIds.map(id => entries.get(String(id)).toObject());
+    await req.list.save();
+    res.json(summarizeList(req.list));
+  } catch (err) {
+    console.error('Reorder list error:', err);
+    res.status(500).json({ msg: "Error reordering list" });
+  }
+});
+
+// Mark an entry read or unread: { read: true | false }
+router.put('/lists/:listId/entries/:postId/read', authMiddleware, validate(schemas.markEntryRead), loadOwnList, async (req, res) => {
+  try {
+    const entry = req.list.entries.find(item => String(item.post) === req.params.postId);
+    if (!entry) {
+      return res.status(404).json({ msg: "Entry not found" });
+    }
+
+    entry.readAt = req.body.read === false ? null : new Date();
+    await req.list.save();
+    res.json(entry);
+  } catch (err) {
+    res.status(500).json({ msg: "Error updating entry" });
+  }
+});
+
+// Remove a post from a list
+router.delete('/lists/:listId/entries/:postId', authMiddleware, validate(schemas.removeEntry), loadOwnList, async (req, res) => {
+  try {
+    const before = req.list.entries.length;
+    req.list.entries = req.list.entries.filter(entry => String(entry.post) !== req.params.postId);
+    if (req.list.entries.length === before) {
+      return res.status(404).json({ msg: "Entry not found" });
+    }
+
+    await req.list.save();
+    res.json(summarizeList(req.list));
+  } catch (err) {
+    res.status(500).json({ msg: "Error removing entry" });
+  }
+});
+
+// A public list, by its share id. Needs no account.
+router.get('/shared/:shareId', validate(schemas.sharedList), async (req, res) => {
+  try {
+    const list = await ReadingList.findOne({ shareId: String(req.params.shareId), visibility: 'public' })
+      .populate('owner', 'firstName lastName profilePicture');
+    if (!list) {
+      return res.status(404).json({ msg: "List not found" });
+    }
+
+    const { entries, ...summary } = await listWithPosts(list, null);
+    res.json({
+      ...summary,
+      owner: list.owner,
+      // Read markers are the owner's business
+      entries: entries.map(({ readAt, ...entry }) => entry)
+    });
+  } catch (err) {
+    res.status(500).json({ msg: "Error fetching list" });
+  }
+});
+
+export default router;
@@ -0,0 +1,89 @@
+import express from 'express';
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../validation/feeds.js';
+import { FEED_FORMATS, feedAuthor, feedItem, feedEtag } from '../utils/feeds.js';
+import { apiUrl, appUrl, profileUrl, siteTitle } from '../utils/urls.js';
+
+// Public syndication feeds. No auth, so only published posts appear.
+const router = express.Router();
+
+const FEED_SIZE = parseInt(process.env.FEED_SIZE, 10) || 20;
+
+const latestPosts = (match) => Post.find({ ...Post.publishedFilter(), ...match })
+  .sort({ publishedAt: -1, _id: -1 })
+  .limit(FEED_SIZE)
+  .populate('imageAsset', 'variants');
+
+const lastUpdated = (items, fallback) => items.reduce(
+  (latest, item) => (item.updated > latest ? item.updated : latest),
+  fallback
+);
+
+// Send a feed, or 304 when the reader's copy is still current
+const sendFeed = (req, res, format, feed) => {
+  const { build, contentType } = FEED_FORMATS[format];
+
+  res.set({
+    'Content-Type': `${contentType}; charset=utf-8`,
+    'Cache-Control': 'public, max-age=300',
+    ETag: feedEtag(format, feed),
+    'Last-Modified': feed.updated.toUTCString()
+  });
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.send(build(feed));
+};
+
+// Latest posts from everyone: /api/feeds/rss, /atom or /json
+router.get('/:format', validate(schemas.siteFeed), async (req, res) => {
+  try {
+    const { format } = req.params;
+    const posts = await latestPosts({});
+    const items = posts.map(feedItem);
+
+    sendFeed(req, res, format, {
+      title: siteTitle(),
+      description: `Latest posts on ${siteTitle()}`,
+      link: appUrl(),
+      selfUrl: `${apiUrl()}/api/feeds/${format}`,
+      updated: lastUpdated(items, new Date(0)),
+      items
+    });
+  } catch (err) {
+    console.error('Site feed error:', err);
+    res.status(500).json({ msg: "Error building feed" });
+  }
+});
+
+// Latest posts by one author
+router.get('/users/:userId/:format', validate(schemas.authorFeed), async (req, res) => {
+  try {
+    const { userId, format } = req.params;
+    const user = await User.findById(userId).select('firstName lastName profilePicture about profileHidden accountStatus updatedAt createdAt');
+    if (!user || user.profileHidden || user.accountStatus === 'banned') {
+      return res.status(404).json({ msg: "User not found" });
+    }
+
+    const posts = await latestPosts({ author: user._id });
+    const items = posts.map(feedItem);
+    const author = feedAuthor(user);
+
+    sendFeed(req, res, format, {
+      title: `${author.name} on ${siteTitle()}`,
+      description: user.about || `Posts by ${author.name}`,
+      link: profileUrl(user._id),
+      selfUrl: `${apiUrl()}/api/feeds/users/${user._id}/${format}`,
+      updated: lastUpdated(items, user.updatedAt || user.createdAt || new Date(0)),
+      author,
+      items
+    });
+  } catch (err) {
+    console.error('Author feed error:', err);
+    res.status(500).json({ msg: "Error building feed" });
+  }
+});
+
+export default router;
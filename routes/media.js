@@ -0,0 +1,88 @@
+import express from 'express';
+import Asset from '../models/Asset.js';
+import upload from '../middleware/upload.js';
+import { authMiddleware, requireVerified } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../validation/media.js';
+import { parsePageQuery, cursorFilter, buildPage } from '../utils/pagination.js';
+import { createAsset, removeAsset } from '../utils/media.js';
+import { HttpError } from '../utils/errors.js';
+
+const router = express.Router();
+
+// The current user's media library, newest first
+router.get('/', authMiddleware, validate(schemas.listAssets), async (req, res) => {
+  try {
+    const { limit, cursor, invalid } = parsePageQuery(req.query);
+    if (invalid) {
+      return res.status(400).json({ msg: "Invalid cursor" });
+    }
+
+    const assets = await Asset.find({ $and: [{ owner: req.user._id }, cursorFilter(cursor)] })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
+
+    const { items, nextCursor } = buildPage(assets, limit);
+    const [{ totalSize = 0 } = {}] = await Asset.aggregate([
+      { $match: { owner: req.user._id } },
+      { $group: { _id: null, totalSize: { $sum: '$size' } } }
+    ]);
+    res.json({ assets: items, nextCursor, totalSize });
+  } catch (err) {
+    console.error('Media library error:', err);
+    res.status(500).json({ msg: "Error fetching media" });
+  }
+});
+
+// Upload an image to the library without using it anywhere yet, e.g.
+// before adding it to a post's gallery
+router.post('/', authMiddleware, requireVerified, rateLimit('media_upload'), upload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ msg: "No image file provided" });
+    }
+
+    const asset = await createAsset(req.user._id, req.file, 'blog_images');
+    res.status(201).json(asset);
+  } catch (err) {
+    if (err instanceof HttpError) {
+      return res.status(err.status).json({ msg: err.message, details: err.details });
+    }
+    console.error('Media upload error:', err);
+    res.status(500).json({ msg: "Error uploading image" });
+  }
+});
+
+router.get('/:id', authMiddleware, validate(schemas.assetId), async (req, res) => {
+  try {
+    const asset = await Asset.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!asset) {
+      return res.status(404).json({ msg: "Asset not found" });
+    }
+    res.json(asset);
+  } catch (err) {
+    res.status(500).json({ msg: "Error fetching asset" });
+  }
+});
+
+// Delete an asset that nothing uses
+router.delete('/:id', authMiddleware, validate(schemas.assetId), async (req, res) => {
+  try {
+    const asset = await Asset.findOne({ _id: req.params.id, owner: req.user._id });
+    if (!asset) {
+      return res.status(404).json({ msg: "Asset not found" });
+    }
+    if (asset.usage.length > 0) {
+      return res.status(409).json({ msg: "Asset is still in use", usage: asset.usage });
+    }
+
+    await removeAsset(asset);
+    res.json({ msg: "Asset deleted" });
+  } catch (err) {
+    console.error('Delete asset error:', err);
+    res.status(500).json({ msg: "Error deleting asset" });
+  }
+});
+
+export default router;
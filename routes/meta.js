@@ -0,0 +1,138 @@
+import express from 'express';
+import Post from '../models/Post.js';
+import User from '../models/User.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../validation/meta.js';
+import { escapeHtml } from '../utils/html.js';
+import { postUrl, profileUrl } from '../utils/urls.js';
+import {
+  postMetadata,
+  profileMetadata,
+  postOembed,
+  profileOembed,
+  parseShareUrl
+} from '../utils/shareMetadata.js';
+
+// Public, crawler-facing metadata for shared links. The frontend is
+// expected to proxy /sitemap.xml here, since the sitemap lists its URLs.
+const router = express.Router();
+
+// Sitemaps may hold at most 50,000 URLs
+const SITEMAP_LIMIT = 50000;
+
+const PROFILE_FIELDS = 'firstName lastName profilePicture about';
+
+const findPublicPost = (id) => Post.findOne({ _id: id, ...Post.publishedFilter() })
+  .populate('imageAsset', 'variants');
+
+const findPublicProfile = (id) => User.findOne({
+  _id: id,
+  profileHidden: { $ne: true },
+  accountStatus: { $ne: 'banned' }
+}).select(PROFILE_FIELDS);
+
+const cacheFor = (res, seconds) => res.set('Cache-Control', `public, max-age=${seconds}`);
+
+// Published posts, then the profiles of everyone who wrote one
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    res.set('Content-Type', 'application/xml; charset=utf-8');
+    cacheFor(res, 3600);
+
+    const authors = await Post.aggregate([
+      { $match: Post.publishedFilter() },
+      { $group: { _id: '$author', lastmod: { $max: '$updatedAt' } } },
+      { $lookup: { from: 'users', localField: '_id', foreignField: '_id', as: 'user' } },
+      { $match: { 'user.profileHidden': { $ne: true }, 'user.accountStatus': { $ne: 'banned' }, 'user.0': { $exists: true } } },
+      { $project: { lastmod: 1 } },
+      { $limit: SITEMAP_LIMIT }
+    ]);
+
+    const entry = (loc, lastmod) => `<url><loc>${escapeHtml(loc)}</loc>${lastmod ? `<lastmod>${lastmod.toISOString()}</lastmod>` : ''}</url>\n`;
+
+    res.write('<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n');
+
+    // Stream posts so a large blog isn't held in memory
+    const posts = Post.find(Post.publishedFilter())
+      .select('_id updatedAt')
+      .sort({ updatedAt: -1 })
+      .limit(SITEMAP_LIMIT - authors.length)
+      .lean()
+      .cursor();
+    for await (const post of posts) {
+      res.write(entry(postUrl(post), post.updatedAt));
+    }
+
+    for (const author of authors) {
+      res.write(entry(profileUrl(author._id), author.lastmod));
+    }
+
+    res.end('</urlset>\n');
+  } catch (err) {
+    console.error('Sitemap error:', err);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ msg: "Error building sitemap" });
+  }
+});
+
+// Open Graph and Twitter Card fields for a post
+router.get('/posts/:id', validate(schemas.postMeta), async (req, res) => {
+  try {
+    const post = await findPublicPost(req.params.id);
+    if (!post) {
+      return res.status(404).json({ msg: "Post not found" });
+    }
+
+    cacheFor(res, 600);
+    res.json(postMetadata(post));
+  } catch (err) {
+    console.error('Post metadata error:', err);
+    res.status(500).json({ msg: "Error fetching metadata" });
+  }
+});
+
+router.get('/users/:userId', validate(schemas.profileMeta), async (req, res) => {
+  try {
+    const user = await findPublicProfile(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ msg: "User not found" });
+    }
+
+    cacheFor(res, 600);
+    res.json(profileMetadata(user));
+  } catch (err) {
+    console.error('Profile metadata error:', err);
+    res.status(500).json({ msg: "Error fetching metadata" });
+  }
+});
+
+// oEmbed endpoint: ?url=<post or profile URL>&format=json
+router.get('/oembed', validate(schemas.oembed), async (req, res) => {
+  try {
+    if (req.query.format && req.query.format !== 'json') {
+      return res.status(501).json({ msg: "Only the json format is supported" });
+    }
+
+    const target = parseShareUrl(req.query.url);
+    if (!target) {
+      return res.status(404).json({ msg: "Not an embeddable URL" });
+    }
+
+    const found = target.kind === 'post'
+      ? await findPublicPost(target.id)
+      : await findPublicProfile(target.id);
+    if (!found) {
+      return res.status(404).json({ msg: "Not found" });
+    }
+
+    cacheFor(res, 3600);
+    res.json(target.kind === 'post' ? postOembed(found) : profileOembed(found));
+  } catch (err) {
+    console.error('oEmbed error:', err);
+    res.status(500).json({ msg: "Error fetching oEmbed data" });
+  }
+});
+
+export default router;
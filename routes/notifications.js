@@ -1,40 +1,283 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Notification from '../models/Notification.js';
+import User from '../models/User.js';
 import { authMiddleware } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../validation/notifications.js';
+import { subscribeToNotifications } from '../utils/notificationBus.js';
+import { parsePageQuery, cursorFilter, buildPage, encodeCursor } from '../utils/pagination.js';
+import { groupStages, groupLookupStages, groupWindowStart, previewSenderIds, summarize } from '../utils/notificationGroups.js';
 
 const router = express.Router();
 
-// Get user's notifications
-router.get('/', authMiddleware, async (req, res) => {
+const NOTIFICATION_TYPES = Notification.schema.path('type').enumValues;
+
+const populateNotification = (query) => query
+  .populate('sender', 'firstName lastName profilePicture')
+  .populate('post', 'title');
+
+// ?type=like,comment narrows the inbox to those types
+const parseTypes = (value) => {
+  if (!value) return null;
+  const types = String(value).split(',').map(type => type.trim());
+  return types.every(type => NOTIFICATION_TYPES.includes(type)) ? types : undefined;
+};
+
+// Get user's notifications, paginated by cursor. With ?grouped=true,
+// similar notifications from the last GROUP_WINDOW_DAYS are collapsed
+// into one entry per post and type. Older ones are left out of the
+// grouped list; its last page carries `olderCursor`, which continues
+// from there in the ungrouped list.
+router.get('/', authMiddleware, validate(schemas.listNotifications), async (req, res) => {
   try {
-    const notifications = await Notification.find({ recipient: req.user.id })
-      .populate('sender', 'firstName lastName profilePicture')
-      .populate('post', 'title')
-      .sort({ createdAt: -1 })
-      .limit(10);
+    const { limit, cursor, invalid } = parsePageQuery(req.query);
+    if (invalid) {
+      return res.status(400).json({ msg: "Invalid cursor" });
+    }
+
+    const types = parseTypes(req.query.type);
+    if (types === undefined) {
+      return res.status(400).json({ msg: "Invalid notification type" });
+    }
+
+    const match = { recipient: req.user._id };
+    if (types) {
+      match.type = { $in: types };
+    }
+
+    let page;
+    if (req.query.grouped === 'true') {
+      const groups = await Notification.aggregate([
+        { $match: { ...match, createdAt: { $gte: groupWindowStart() } } },
+        ...groupStages(),
+        { $match: cursorFilter(cursor) },
+        { $sort: { createdAt: -1, _id: -1 } },
+        { $limit: limit + 1 },
+        ...groupLookupStages()
+      ]);
+      page = buildPage(groups, limit);
+      if (!page.nextCursor) {
+        // Sorts after every notification at the window start itself
+        page.olderCursor = encodeCursor({ createdAt: groupWindowStart(), _id: 'f'.repeat(24) });
+      }
+
+      const previewIds = page.items.flatMap(previewSenderIds);
+      const senders = await User.find({ _id: { $in: previewIds } })
+        .select('firstName lastName profilePicture')
+        .lean();
+      const sendersById = new Map(senders.map(sender => [String(sender._id), sender]));
+
+      page.items = page.items.map(({ senderIds, ...group }) => {
+        const groupSenders = previewSenderIds({ senderIds })
+          .map(id => sendersById.get(String(id)))
+          .filter(Boolean);
+        return { ...group, senders: groupSenders, summary: summarize(group, groupSenders) };
+      });
+    } else {
+      const notifications = await populateNotification(
+        Notification.find({ $and: [match, cursorFilter(cursor)] })
+      )
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1);
+      page = buildPage(notifications, limit);
+    }
 
     const unreadCount = await Notification.countDocuments({
       recipient: req.user.id,
       read: false
     });
 
-    res.json({ notifications, unreadCount });
+    res.json({ notifications: page.items, unreadCount, nextCursor: page.nextCursor, olderCursor: page.olderCursor });
   } catch (err) {
+    console.error('Error fetching notifications:', err);
     res.status(500).json({ msg: "Error fetching notifications" });
   }
 });
 
-// Mark notifications as read
-router.put('/read', authMiddleware, async (req, res) => {
+const HEARTBEAT_MS = parseInt(process.env.SSE_HEARTBEAT_MS, 10) || 25000;
+const REPLAY_LIMIT = 100;
+
+// EventSource cannot send headers, so the stream also accepts the JWT
+// as ?token=
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.token) {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Stream new notifications and the unread count as Server-Sent Events.
+// Event ids are notification ids, so a reconnecting client that sends
+// Last-Event-ID gets whatever it missed.
+router.get('/stream', validate(schemas.stream), tokenFromQuery, authMiddleware, async (req, res) => {
+  const userId = req.user._id;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  const send = (event, data, id) => {
+    if (id) res.write(`id: ${id}\n`);
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const unreadCount = () => Notification.countDocuments({ recipient: userId, read: false });
+
+  const sent = new Set();
+  const deliver = async (notification) => {
+    const id = String(notification._id);
+    if (sent.has(id)) return;
+    sent.add(id);
+
+    const populated = await populateNotification(Notification.findById(id));
+    if (!populated) return;
+    send('notification', { notification: populated, unreadCount: await unreadCount() }, id);
+  };
+
+  // Hold live events back until the replay below has gone out, so the
+  // client sees notifications in order
+  let replaying = true;
+  const pending = [];
+  const unsubscribe = subscribeToNotifications(userId, notification => {
+    if (replaying) {
+      pending.push(notification);
+    } else {
+      deliver(notification).catch(err => console.error('Notification stream error:', err));
+    }
+  });
+
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+
   try {
-    await Notification.updateMany(
-      { recipient: req.user.id, read: false },
-      { read: true }
-    );
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+    if (lastEventId && mongoose.isValidObjectId(lastEventId)) {
+      const missed = await Notification.find({ recipient: userId, _id: { $gt: lastEventId } })
+        .sort({ _id: 1 })
+        .limit(REPLAY_LIMIT)
+        .select('_id');
+      for (const notification of missed) {
+        await deliver(notification);
+      }
+    }
+
+    send('unread', { unreadCount: await unreadCount() });
+
+    replaying = false;
+    for (const notification of pending.splice(0)) {
+      await deliver(notification);
+    }
+  } catch (err) {
+    console.error('Notification stream error:', err);
+  }
+});
+
+const CHANNELS = ['in_app', 'email', 'off'];
+// Types users may mute; moderator warnings always come through
+const PREFERENCE_TYPES = Object.keys(User.schema.obj.notificationPreferences);
+const DIGEST_FREQUENCIES = User.schema.path('digestFrequency').enumValues;
+
+// Get how the user wants to hear about each notification type
+router.get('/preferences', authMiddleware, async (req, res) => {
+  res.json({
+    preferences: req.user.notificationPreferences,
+    digestFrequency: req.user.digestFrequency
+  });
+});
+
+// Update notification preferences, e.g.
+// { preferences: { like: 'off', comment: 'email' }, digestFrequency: 'weekly' }
+router.put('/preferences', authMiddleware, validate(schemas.updatePreferences), async (req, res) => {
+  try {
+    const { preferences = {}, digestFrequency } = req.body;
+
+    for (const [type, channel] of Object.entries(preferences)) {
+      if (!PREFERENCE_TYPES.includes(type) || !CHANNELS.includes(channel)) {
+        return res.status(400).json({ msg: `Invalid preference for ${type}` });
+      }
+      req.user.notificationPreferences[type] = channel;
+    }
+
+    if (digestFrequency !== undefined) {
+      if (!DIGEST_FREQUENCIES.includes(digestFrequency)) {
+        return res.status(400).json({ msg: "Invalid digest frequency" });
+      }
+      req.user.digestFrequency = digestFrequency;
+    }
+
+    await req.user.save();
+    res.json({
+      preferences: req.user.notificationPreferences,
+      digestFrequency: req.user.digestFrequency
+    });
+  } catch (err) {
+    console.error('Notification preferences error:', err);
+    res.status(500).json({ msg: "Error updating notification preferences" });
+  }
+});
+
+// Mark notifications as read: the given ids, a group from the grouped
+// inbox, or all of them
+router.put('/read', authMiddleware, validate(schemas.markRead), async (req, res) => {
+  try {
+    const filter = { recipient: req.user.id, read: false };
+    if (Array.isArray(req.body?.ids)) {
+      filter._id = { $in: req.body.ids };
+    }
+    // A whole group from the grouped inbox, which only lists some of its ids
+    if (req.body?.group) {
+      filter.type = req.body.group.type;
+      filter.post = req.body.group.post || null;
+    }
+
+    await Notification.updateMany(filter, { read: true });
     res.json({ msg: "Notifications marked as read" });
   } catch (err) {
     res.status(500).json({ msg: "Error updating notifications" });
   }
 });
 
+// Mark one notification as read
+router.put('/:id/read', authMiddleware, validate(schemas.notificationId), async (req, res) => {
+  try {
+    const notification = await Notification.findOneAndUpdate(
+      { _id: req.params.id, recipient: req.user.id },
+      { read: true },
+      { new: true }
+    );
+    if (!notification) {
+      return res.status(404).json({ msg: "Notification not found" });
+    }
+
+    res.json(notification);
+  } catch (err) {
+    res.status(500).json({ msg: "Error updating notification" });
+  }
+});
+
+// Delete one notification
+router.delete('/:id', authMiddleware, validate(schemas.notificationId), async (req, res) => {
+  try {
+    const result = await Notification.deleteOne({ _id: req.params.id, recipient: req.user.id });
+    if (result.deletedCount === 0) {
+      return res.status(404).json({ msg: "Notification not found" });
+    }
+
+    res.json({ msg: "Notification deleted" });
+  } catch (err) {
+    res.status(500).json({ msg: "Error deleting notification" });
+  }
+});
+
 export default router;
\ No newline at end of file
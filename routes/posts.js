@@ -1,47 +1,55 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Post from '../models/Post.js';
 import Comment from '../models/Comment.js';
 import Notification from '../models/Notification.js';
-import cloudinary from '../config/cloudinary.js';
+import PostRevision from '../models/PostRevision.js';
+import ReadingList from '../models/ReadingList.js';
+import Reaction from '../models/Reaction.js';
 import upload from '../middleware/upload.js';
-import { authMiddleware } from '../middleware/auth.js';
+import { authMiddleware, optionalAuth, requireVerified } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../validation/posts.js';
+import { DEFAULT_REACTION } from '../config/reactions.js';
+import revisionRoutes from './revisions.js';
+import { createReactionRouter } from './reactions.js';
 import User from '../models/User.js'; // Import User model
+import { parseLimit, parsePageQuery, cursorFilter, buildPage, encodeCursor } from '../utils/pagination.js';
+import { fetchPostPage, postCountStages, hiddenAuthorsFilter } from '../utils/postFeed.js';
+import { buildCommentTree, maskRemovedComment } from '../utils/commentTree.js';
+import { resolveLifecycle } from '../utils/postLifecycle.js';
+import { recordView, trackStat } from '../utils/analytics.js';
+import { addReaction, removeReaction, reactionSummary, reactorIds, viewerReactions, deleteReactionsFor } from '../utils/reactions.js';
+import { createAsset, resolveGallery, syncAssetUsage, releaseAssetUsage, postAssetIds } from '../utils/media.js';
+import { HttpError } from '../utils/errors.js';
+import { createNotification, notifySubscribers } from '../utils/notify.js';
+import { normalizeTags } from '../utils/slug.js';
+import { escapeRegex, parseSearchQuery, highlightPattern, highlight, buildSnippet } from '../utils/search.js';
 
 const router = express.Router();
 
-// Get all posts
-router.get('/', async (req, res) => {
+// How many levels of replies a comment thread may have
+const MAX_COMMENT_DEPTH = parseInt(process.env.COMMENT_MAX_DEPTH, 10) || 3;
+
+// Replies sent with each top-level comment; the rest come from /replies
+const REPLIES_PER_THREAD = parseInt(process.env.COMMENT_REPLIES_PER_THREAD, 10) || 20;
+
+// Get all posts, paginated by cursor and optionally narrowed to a category
+router.get('/', optionalAuth, validate(schemas.listPosts), async (req, res) => {
   try {
-    const posts = await Post.find()
-      .populate({
-        path: 'author',
-        select: '_id firstName lastName profilePicture'
-      })
-      .sort({ createdAt: -1 });
-    
-    // Get comments count for each post
-    const postsWithCounts = await Promise.all(posts.map(async post => {
-      const commentsCount = await Comment.countDocuments({ post: post._id });
-      const postObj = post.toObject();
-      
-      // Ensure author data is available
-      if (!postObj.author) {
-        postObj.author = {
-          _id: postObj.author || post._id,
-          firstName: postObj.firstName,
-          lastName: postObj.lastName,
-          profilePicture: postObj.profilePicture
-        };
-      }
+    const { limit, cursor, invalid } = parsePageQuery(req.query);
+    if (invalid) {
+      return res.status(400).json({ msg: "Invalid cursor" });
+    }
 
-      return {
-        ...postObj,
-        likes: post.likes?.length || 0,
-        comments: commentsCount
-      };
-    }));
-    
-    res.json(postsWithCounts);
+    const match = { ...Post.publishedFilter(), ...hiddenAuthorsFilter(req.user) };
+    if (req.query.category) {
+      match.category = String(req.query.category);
+    }
+
+    const page = await fetchPostPage(match, { limit, cursor });
+    res.json(page);
   } catch (err) {
     console.error('Error fetching posts:', err);
     res.status(500).json({ msg: "Error fetching posts" });
@@ -49,26 +57,33 @@ router.get('/', async (req, res) => {
 });
 
 // Create post
-router.post('/', authMiddleware, upload.single('image'), async (req, res) => {
+router.post('/', authMiddleware, requireVerified, rateLimit('post_create'), upload.single('image'), validate(schemas.createPost), async (req, res) => {
   try {
     const { title, content } = req.body;
+
+    const lifecycle = resolveLifecycle(req.body);
+    if (lifecycle.error) {
+      return res.status(400).json({ msg: lifecycle.error });
+    }
     
-    let imageUrl = '';
+    let gallery = [];
+    if (req.body.gallery) {
+      const resolved = await resolveGallery(req.body.gallery, req.user._id);
+      if (resolved.error) {
+        return res.status(400).json({ msg: resolved.error });
+      }
+      gallery = resolved.gallery;
+    }
+
+    let cover = null;
     if (req.file) {
       try {
-        // Convert buffer to base64
-        const b64 = Buffer.from(req.file.buffer).toString('base64');
-        const dataURI = `data:${req.file.mimetype};base64,${b64}`;
-        
-        // Upload to Cloudinary
-        const uploadResponse = await cloudinary.uploader.upload(dataURI, {
-          folder: 'blog_images',
-          resource_type: 'auto'
-        });
-        
-        imageUrl = uploadResponse.secure_url;
+        cover = await createAsset(req.user._id, req.file, 'blog_images');
       } catch (uploadErr) {
-        console.error('Cloudinary upload error:', uploadErr);
+        if (uploadErr instanceof HttpError) {
+          return res.status(uploadErr.status).json({ msg: uploadErr.message, details: uploadErr.details });
+        }
+        console.error('Image upload error:', uploadErr);
         return res.status(500).json({ msg: "Error uploading image" });
       }
     }
@@ -76,34 +91,27 @@ router.post('/', authMiddleware, upload.single('image'), async (req, res) => {
     const post = new Post({
       title,
       content,
-      image: imageUrl,
+      image: cover ? cover.variantUrls().full : '',
+      imageVariants: cover ? cover.variantUrls() : undefined,
+      imageAsset: cover?._id,
+      gallery,
       author: req.user.id,
       firstName: req.user.firstName,
       lastName: req.user.lastName,
-      profilePicture: req.user.profilePicture // Add this line
+      profilePicture: req.user.profilePicture, // Add this line
+      tags: normalizeTags(req.body.tags),
+      category: req.body.category || null,
+      status: lifecycle.status,
+      publishAt: lifecycle.publishAt,
+      publishedAt: lifecycle.status === 'published' ? new Date() : null
     });
 
     await post.save();
+    await syncAssetUsage('post', post._id, postAssetIds(post));
 
-    // Notify subscribers
-    try {
-      // Get current user's subscribers
-      const currentUser = await User.findById(req.user.id);
-      
-      // Create notifications for all subscribers
-      const notifications = currentUser.subscribers.map(subscriberId => ({
-        recipient: subscriberId,
-        sender: req.user.id,
-        post: post._id,
-        type: 'post_created'
-      }));
-
-      if (notifications.length > 0) {
-        await Notification.insertMany(notifications);
-      }
-    } catch (notifErr) {
-      console.error('Error creating subscriber notifications:', notifErr);
-      // Continue even if notification creation fails
+    // Drafts and scheduled posts notify subscribers once they go live
+    if (post.status === 'published') {
+      await notifySubscribers(post);
     }
 
     res.status(201).json(post);
@@ -114,32 +122,153 @@ router.post('/', authMiddleware, upload.single('image'), async (req, res) => {
 });
 
 // Get user's posts
-router.get('/user', authMiddleware, async (req, res) => {
+router.get('/user', authMiddleware, validate(schemas.ownPosts), async (req, res) => {
   try {
-    const posts = await Post.find({ author: req.user.id })
-      .sort({ createdAt: -1 });
-    res.json(posts);
+    const { limit, cursor, invalid } = parsePageQuery(req.query);
+    if (invalid) {
+      return res.status(400).json({ msg: "Invalid cursor" });
+    }
+
+    // Authors see all of their own posts, optionally narrowed by status.
+    // Only published ones are sure to have a publish time to sort on.
+    const match = { author: req.user._id };
+    let sortField = 'createdAt';
+    if (req.query.status === 'published') {
+      Object.assign(match, Post.publishedFilter());
+      sortField = 'publishedAt';
+    } else if (req.query.status) {
+      match.status = String(req.query.status);
+    }
+
+    const page = await fetchPostPage(match, { limit, cursor, sortField });
+    res.json(page);
   } catch (err) {
     res.status(500).json({ msg: "Error fetching user posts" });
   }
 });
 
-// Update the search route to handle userId
-router.get('/search', authMiddleware, async (req, res) => {
+// Posts from the authors the user subscribes to, newest first. Posts
+// newer than the last time the feed was marked seen have isUnread set.
+router.get('/feed/following', authMiddleware, validate(schemas.feed), async (req, res) => {
+  try {
+    const { limit, cursor, invalid } = parsePageQuery(req.query);
+    if (invalid) {
+      return res.status(400).json({ msg: "Invalid cursor" });
+    }
+
+    const hidden = new Set(req.user.hiddenAuthorIds().map(String));
+    const authors = req.user.following.filter(id => !hidden.has(String(id)));
+
+    const page = await fetchPostPage(
+      { ...Post.publishedFilter(), author: { $in: authors } },
+      { limit, cursor }
+    );
+
+    const seenAt = req.user.followingFeedSeenAt;
+    page.posts = page.posts.map(post => ({
+      ...post,
+      isUnread: !seenAt || post.publishedAt > seenAt
+    }));
+
+    res.json({ ...page, lastSeenAt: seenAt });
+  } catch (err) {
+    console.error('Error fetching following feed:', err);
+    res.status(500).json({ msg: "Error fetching feed" });
+  }
+});
+
+// Mark the following feed as read up to now
+router.put('/feed/following/seen', authMiddleware, async (req, res) => {
+  try {
+    const seenAt = new Date();
+    await User.updateOne({ _id: req.user._id }, { followingFeedSeenAt: seenAt });
+    res.json({ lastSeenAt: seenAt });
+  } catch (err) {
+    res.status(500).json({ msg: "Error updating feed" });
+  }
+});
+
+// Tag cloud: how many published posts carry each tag
+router.get('/tags', validate(schemas.tagCloud), async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const tags = await Post.aggregate([
+      { $match: Post.publishedFilter() },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: limit },
+      { $project: { _id: 0, tag: '$_id', count: 1 } }
+    ]);
+    res.json(tags);
+  } catch (err) {
+    console.error('Error fetching tags:', err);
+    res.status(500).json({ msg: "Error fetching tags" });
+  }
+});
+
+// Get posts with a tag, paginated by cursor
+router.get('/tags/:tag', optionalAuth, validate(schemas.taggedPosts), async (req, res) => {
+  try {
+    const { limit, cursor, invalid } = parsePageQuery(req.query);
+    if (invalid) {
+      return res.status(400).json({ msg: "Invalid cursor" });
+    }
+
+    const [tag] = normalizeTags(req.params.tag);
+    if (!tag) {
+      return res.status(400).json({ msg: "Invalid tag" });
+    }
+
+    const match = { ...Post.publishedFilter(), ...hiddenAuthorsFilter(req.user), tags: tag };
+    const page = await fetchPostPage(match, { limit, cursor });
+    res.json(page);
+  } catch (err) {
+    console.error('Error fetching tagged posts:', err);
+    res.status(500).json({ msg: "Error fetching posts" });
+  }
+});
+
+// Get single post by slug. Slugs from earlier titles redirect to the current one.
+router.get('/slug/:slug', authMiddleware, validate(schemas.postBySlug), async (req, res) => {
+  try {
+    const slug = String(req.params.slug).toLowerCase();
+    const post = await Post.findOne({ slug })
+      .populate('author', '_id firstName lastName profilePicture');
+
+    if (post && post.isVisibleTo(req.user)) {
+      return res.json(post);
+    }
+
+    const renamed = await Post.findOne({ slugAliases: slug }).select('slug status author moderation');
+    if (renamed && renamed.isVisibleTo(req.user)) {
+      return res.redirect(301, `${req.baseUrl}/slug/${renamed.slug}`);
+    }
+
+    res.status(404).json({ msg: "Post not found" });
+  } catch (err) {
+    res.status(500).json({ msg: "Error fetching post" });
+  }
+});
+
+// Search posts by relevance, or users by name/email when searchIn=users.
+// Post queries accept "exact phrases" and -excluded terms.
+router.get('/search', authMiddleware, validate(schemas.search), async (req, res) => {
   try {
     const { q: searchTerm, searchIn = 'all', from, to, userId } = req.query;
     
     if (!searchTerm) {
-      return res.json([]);
+      return res.json(searchIn === 'users' ? [] : { posts: [], nextPage: null });
     }
 
     // If searching for users and no userId is provided
     if (searchIn === 'users' && !userId) {
+      const pattern = escapeRegex(searchTerm);
       const users = await User.find({
         $or: [
-          { firstName: { $regex: searchTerm, $options: 'i' } },
-          { lastName: { $regex: searchTerm, $options: 'i' } },
-          { email: { $regex: searchTerm, $options: 'i' } }
+          { firstName: { $regex: pattern, $options: 'i' } },
+          { lastName: { $regex: pattern, $options: 'i' } },
+          { email: { $regex: pattern, $options: 'i' } }
         ]
       })
       .select('firstName lastName email profilePicture')
@@ -148,47 +277,62 @@ router.get('/search', authMiddleware, async (req, res) => {
       return res.json(users);
     }
 
+    const limit = parseLimit(req.query.limit);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const parsed = parseSearchQuery(searchTerm);
+    const pattern = highlightPattern(parsed);
+
     // Build search query
-    let searchQuery = {};
+    const searchQuery = {
+      $text: { $search: String(searchTerm) },
+      ...Post.publishedFilter()
+    };
 
-    // Add user filter if userId is provided
+    // Add user filter if userId is provided, otherwise leave out
+    // authors the searcher has muted or blocked
     if (userId) {
-      searchQuery.author = userId;
+      searchQuery.author = new mongoose.Types.ObjectId(userId);
+    } else {
+      Object.assign(searchQuery, hiddenAuthorsFilter(req.user));
     }
 
-    // Handle search scope
-    if (searchIn === 'all') {
-      searchQuery.$or = [
-        { title: { $regex: searchTerm, $options: 'i' } },
-        { content: { $regex: searchTerm, $options: 'i' } }
-      ];
-    } else if (searchIn === 'title') {
-      searchQuery.title = { $regex: searchTerm, $options: 'i' };
-    } else if (searchIn === 'content') {
-      searchQuery.content = { $regex: searchTerm, $options: 'i' };
+    // The text index covers every field, so narrow the matches down to
+    // the requested one
+    if ((searchIn === 'title' || searchIn === 'content') && pattern) {
+      searchQuery[searchIn] = { $regex: pattern.source, $options: 'i' };
     }
 
     // Handle date range
     if (from || to) {
-      searchQuery.createdAt = {};
-      if (from) searchQuery.createdAt.$gte = new Date(from);
-      if (to) searchQuery.createdAt.$lte = new Date(to + 'T23:59:59');
-    }
+      searchQuery.publishedAt = {};
+      if (from) searchQuery.publishedAt.$gte = new Date(from);
+      if (to) searchQuery.publishedAt.$lte = new Date(to + 'T23:59:59');
 
-    const posts = await Post.find(searchQuery)
-      .populate('author', 'firstName lastName profilePicture')
-      .sort({ createdAt: -1 })
-      .limit(10);
+      const dates = Object.values(searchQuery.publishedAt);
+      if (dates.some(date => Number.isNaN(date.getTime()))) {
+        return res.status(400).json({ msg: "Invalid date range" });
+      }
+    }
 
-    const postsWithCounts = await Promise.all(posts.map(async post => {
-      const commentsCount = await Comment.countDocuments({ post: post._id });
-      return {
-        ...post.toObject(),
-        comments: commentsCount
-      };
+    const posts = await Post.aggregate([
+      { $match: searchQuery },
+      { $addFields: { score: { $meta: 'textScore' } } },
+      { $sort: { score: -1, publishedAt: -1, _id: -1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: limit + 1 },
+      ...postCountStages()
+    ]);
+
+    const hasMore = posts.length > limit;
+    const results = posts.slice(0, limit).map(post => ({
+      ...post,
+      highlights: {
+        title: highlight(post.title, pattern),
+        snippet: buildSnippet(post.content, pattern)
+      }
     }));
 
-    res.json(postsWithCounts);
+    res.json({ posts: results, nextPage: hasMore ? page + 1 : null });
   } catch (err) {
     console.error('Search error:', err);
     res.status(500).json({ msg: "Error searching" });
@@ -196,21 +340,42 @@ router.get('/search', authMiddleware, async (req, res) => {
 });
 
 // Get single post
-router.get('/:id', authMiddleware, async (req, res) => {
+router.get('/:id', authMiddleware, validate(schemas.viewPost), async (req, res) => {
   try {
     const post = await Post.findById(req.params.id)
       .populate('author', '_id firstName lastName profilePicture'); // Add _id explicitly
-    if (!post) {
+    if (!post || !post.isVisibleTo(req.user)) {
       return res.status(404).json({ msg: "Post not found" });
     }
-    res.json(post);
+
+    // Only views of live posts count, and tracking never fails the request
+    if (post.isVisibleTo(null)) {
+      recordView(post, req.user, req.query.ref)
+        .catch(err => console.error('View tracking error:', err));
+    }
+
+    // Which of the viewer's reading lists hold this post, and how they
+    // reacted. `likes` keeps its old shape: ids of the default reaction's users.
+    const [lists, reactions, likes] = await Promise.all([
+      ReadingList.find({ owner: req.user._id, 'entries.post': post._id }).select('_id'),
+      viewerReactions('post', [post._id], req.user._id),
+      reactorIds('post', post._id, DEFAULT_REACTION)
+    ]);
+
+    res.json({
+      ...post.toObject({ flattenMaps: true }),
+      likes,
+      viewerReactions: reactions.get(String(post._id)) || [],
+      isBookmarked: lists.length > 0,
+      bookmarkListIds: lists.map(list => list._id)
+    });
   } catch (err) {
     res.status(500).json({ msg: "Error fetching post" });
   }
 });
 
 // Delete post
-router.delete('/:id', authMiddleware, async (req, res) => {
+router.delete('/:id', authMiddleware, validate(schemas.postId), async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
     
@@ -223,11 +388,18 @@ router.delete('/:id', authMiddleware, async (req, res) => {
       return res.status(403).json({ msg: "Not authorized to delete this post" });
     }
 
-    // Delete all comments associated with the post
+    // Delete all comments, reactions and revisions associated with the post
+    const commentIds = await Comment.find({ post: post._id }).distinct('_id');
+    await deleteReactionsFor('comment', commentIds);
+    await deleteReactionsFor('post', [post._id]);
     await Comment.deleteMany({ post: post._id });
+    await PostRevision.deleteMany({ post: post._id });
+    await ReadingList.removePost(post._id);
 
-    // Delete the post
+    // Delete the post, then any images only it or its history used
     await post.deleteOne();
+    await releaseAssetUsage('post', post._id);
+    await releaseAssetUsage('revision', post._id);
 
     res.json({ msg: "Post and associated comments deleted successfully" });
   } catch (err) {
@@ -237,7 +409,7 @@ router.delete('/:id', authMiddleware, async (req, res) => {
 });
 
 // Update the put route for editing posts
-router.put('/:id', authMiddleware, upload.single('image'), async (req, res) => {
+router.put('/:id', authMiddleware, upload.single('image'), validate(schemas.updatePost), async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
     
@@ -250,29 +422,79 @@ router.put('/:id', authMiddleware, upload.single('image'), async (req, res) => {
       return res.status(403).json({ msg: "Not authorized to edit this post" });
     }
 
+    // Keep the current version so the edit can be reviewed or undone
+    const previous = { title: post.title, content: post.content, image: post.image, imageAsset: post.imageAsset };
+
     const { title, content } = req.body;
     post.title = title;
     post.content = content;
 
-    // Handle image upload if provided
+    if (req.body.tags !== undefined) {
+      post.tags = normalizeTags(req.body.tags);
+    }
+    if (req.body.category !== undefined) {
+      post.category = req.body.category || null;
+    }
+
+    // Only touch the lifecycle when the request asks to
+    let justPublished = false;
+    if (req.body.status || req.body.publishAt) {
+      const lifecycle = resolveLifecycle(req.body, { allowArchive: true });
+      if (lifecycle.error) {
+        return res.status(400).json({ msg: lifecycle.error });
+      }
+
+      const wasLive = !post.status || post.status === 'published' || post.status === 'archived';
+      justPublished = lifecycle.status === 'published' && !wasLive;
+
+      post.status = lifecycle.status;
+      if (lifecycle.status !== 'archived') {
+        post.publishAt = lifecycle.publishAt;
+      }
+      if (justPublished) {
+        post.publishedAt = new Date();
+      }
+    }
+
+    if (req.body.gallery !== undefined) {
+      const resolved = await resolveGallery(req.body.gallery, req.user._id);
+      if (resolved.error) {
+        return res.status(400).json({ msg: resolved.error });
+      }
+      post.gallery = resolved.gallery;
+    }
+
+    // Handle image upload if provided. The image it replaces is deleted
+    // once nothing else uses it.
     if (req.file) {
       try {
-        const b64 = Buffer.from(req.file.buffer).toString('base64');
-        const dataURI = `data:${req.file.mimetype};base64,${b64}`;
-        
-        const uploadResponse = await cloudinary.uploader.upload(dataURI, {
-          folder: 'blog_images',
-          resource_type: 'auto'
-        });
-        
-        post.image = uploadResponse.secure_url;
+        const cover = await createAsset(req.user._id, req.file, 'blog_images');
+        post.imageVariants = cover.variantUrls();
+        post.image = post.imageVariants.full;
+        post.imageAsset = cover._id;
       } catch (uploadErr) {
-        console.error('Cloudinary upload error:', uploadErr);
+        if (uploadErr instanceof HttpError) {
+          return res.status(uploadErr.status).json({ msg: uploadErr.message, details: uploadErr.details });
+        }
+        console.error('Image upload error:', uploadErr);
         return res.status(500).json({ msg: "Error uploading image" });
       }
     }
 
+    // Record the old version first, so an edit is never saved without its
+    // history and the revision holds on to a cover that is being replaced
+    const changed = ['title', 'content', 'image'].some(field => previous[field] !== post[field]);
+    if (changed) {
+      await PostRevision.record(post, previous, req.user.id);
+    }
+
     await post.save();
+    await syncAssetUsage('post', post._id, postAssetIds(post));
+
+    if (justPublished) {
+      await notifySubscribers(post);
+    }
+
     res.json({ msg: "Post updated successfully", post });
   } catch (err) {
     console.error('Update error:', err);
@@ -280,38 +502,54 @@ router.put('/:id', authMiddleware, upload.single('image'), async (req, res) => {
   }
 });
 
-// Like/Unlike post
-router.put('/:id/like', authMiddleware, async (req, res) => {
+// Revision history, restricted to the post's author
+router.use('/:id/revisions', authMiddleware, validate(schemas.postId), revisionRoutes);
+
+// Reactions on a post and on its comments
+router.use('/:id/reactions', authMiddleware, validate(schemas.postId), createReactionRouter('post'));
+router.use('/:postId/comments/:commentId/reactions', authMiddleware, validate(schemas.commentParams), createReactionRouter('comment'));
+
+// Toggle the default reaction. Kept for clients that predate reactions,
+// with the old response: `likes` is the ids of users who left the default
+// reaction. Other reactions are only visible through /:id/reactions.
+router.put('/:id/like', authMiddleware, validate(schemas.postId), async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
-    if (!post) return res.status(404).json({ msg: "Post not found" });
+    if (!post || !post.isVisibleTo(req.user)) return res.status(404).json({ msg: "Post not found" });
 
-    // Check if post owner is liking their own post
-    const isOwnPost = post.author.toString() === req.user.id;
+    const isOwnPost = String(post.author) === String(req.user._id);
+    if (!isOwnPost && await User.isBlockedBy(post.author, req.user._id)) {
+      return res.status(403).json({ msg: "You cannot interact with this user's posts" });
+    }
 
-    // Toggle like
-    const userLiked = post.likes.includes(req.user.id);
-    if (userLiked) {
-      post.likes = post.likes.filter(id => id.toString() !== req.user.id);
+    // Notifications follow the same rules as the reactions API: sent for
+    // someone's first reaction, taken back when they have none left
+    const removed = await removeReaction('post', post._id, req.user._id, DEFAULT_REACTION);
+    const otherReactions = await Reaction.exists({ targetType: 'post', target: post._id, user: req.user._id, reaction: { $ne: DEFAULT_REACTION } });
+    if (removed) {
+      if (!otherReactions) {
+        if (!isOwnPost) {
+          trackStat({ author: post.author, post: post._id, metric: 'likes', amount: -1 });
+        }
+        await Notification.deleteMany({ recipient: post.author, sender: req.user._id, post: post._id, type: 'like' });
+      }
     } else {
-      post.likes.push(req.user.id);
-      
-      // Create notification only if it's not the post owner
-      if (!isOwnPost) {
-        const notification = new Notification({
+      await addReaction('post', post._id, req.user._id, DEFAULT_REACTION);
+      if (!isOwnPost && !otherReactions) {
+        trackStat({ author: post.author, post: post._id, metric: 'likes' });
+        await createNotification({
           recipient: post.author,
-          sender: req.user.id,
+          sender: req.user._id,
           post: post._id,
-          type: 'like'
+          type: 'like',
+          reaction: DEFAULT_REACTION
         });
-        await notification.save();
       }
     }
 
-    await post.save();
     res.json({
-      likes: post.likes,
-      isLiked: !userLiked
+      likes: await reactorIds('post', post._id, DEFAULT_REACTION),
+      isLiked: !removed
     });
   } catch (err) {
     console.error('Like error:', err);
@@ -319,64 +557,188 @@ router.put('/:id/like', authMiddleware, async (req, res) => {
   }
 });
 
-// Get post likes
-router.get('/:id/likes', authMiddleware, async (req, res) => {
+// Count of the default reaction. Kept for clients that predate reactions.
+router.get('/:id/likes', authMiddleware, validate(schemas.postId), async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
-    if (!post) {
+    if (!post || !post.isVisibleTo(req.user)) {
       return res.status(404).json({ msg: "Post not found" });
     }
 
-    const isLiked = post.likes.includes(req.user.id);
+    const summary = await reactionSummary('post', post._id, req.user._id);
     res.json({
-      likes: post.likes.length,
-      isLiked
+      likes: summary.counts[DEFAULT_REACTION] || 0,
+      isLiked: summary.viewerReactions.includes(DEFAULT_REACTION)
     });
   } catch (err) {
     res.status(500).json({ msg: "Error fetching likes" });
   }
 });
 
-// Get post comments
-router.get('/:id/comments', authMiddleware, async (req, res) => {
+// Get post comments as a tree, paginated by top-level comment. Each
+// thread carries its first REPLIES_PER_THREAD replies, a replyCount and,
+// when replies were left out, a repliesCursor.
+router.get('/:id/comments', authMiddleware, validate(schemas.listComments), async (req, res) => {
   try {
-    const comments = await Comment.find({ post: req.params.id })
-      .sort({ createdAt: -1 });
-    res.json(comments);
+    const { limit, cursor, invalid } = parsePageQuery(req.query);
+    if (invalid) {
+      return res.status(400).json({ msg: "Invalid cursor" });
+    }
+
+    const post = await Post.findById(req.params.id);
+    if (!post || !post.isVisibleTo(req.user)) {
+      return res.status(404).json({ msg: "Post not found" });
+    }
+
+    const topLevel = await Comment.find({
+      $and: [{ post: req.params.id, parent: null }, cursorFilter(cursor)]
+    })
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const { items: roots, nextCursor } = buildPage(topLevel, limit);
+
+    // The oldest replies of each thread. A reply is always newer than its
+    // parent, so every reply kept still has its parent in the tree.
+    const threads = await Comment.aggregate([
+      { $match: { ancestors: { $in: roots.map(root => root._id) } } },
+      { $sort: { createdAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: { $arrayElemAt: ['$ancestors', 0] },
+          replies: { $firstN: { n: REPLIES_PER_THREAD, input: '$$ROOT' } },
+          replyCount: { $sum: 1 }
+        }
+      }
+    ]);
+    // Threads cut short get the cursor for /replies to carry on from
+    const threadsByRoot = new Map(threads.map(thread => [String(thread._id), thread]));
+    for (const root of roots) {
+      const thread = threadsByRoot.get(String(root._id));
+      root.replyCount = thread ? thread.replyCount : 0;
+      root.repliesCursor = thread && thread.replyCount > thread.replies.length
+        ? encodeCursor(thread.replies[thread.replies.length - 1])
+        : null;
+    }
+    const replies = threads.flatMap(thread => thread.replies);
+
+    const reactions = await viewerReactions('comment', [...roots, ...replies].map(comment => comment._id), req.user._id);
+    const prepare = comment => ({
+      ...maskRemovedComment(comment, req.user),
+      viewerReactions: reactions.get(String(comment._id)) || []
+    });
+    res.json({ comments: buildCommentTree(roots.map(prepare), replies.map(prepare)), nextCursor });
   } catch (err) {
     res.status(500).json({ msg: "Error fetching comments" });
   }
 });
 
-// Add comment
-router.post('/:id/comments', authMiddleware, async (req, res) => {
+// The rest of a thread's replies, oldest first, as a flat list to attach
+// by `parent`. Start from the thread's repliesCursor in the comments list;
+// the cursor from a page of comments doesn't apply here.
+router.get('/:postId/comments/:commentId/replies', authMiddleware, validate(schemas.listReplies), async (req, res) => {
+  try {
+    const { limit, cursor, invalid } = parsePageQuery(req.query);
+    if (invalid) {
+      return res.status(400).json({ msg: "Invalid cursor" });
+    }
+
+    const post = await Post.findById(req.params.postId);
+    if (!post || !post.isVisibleTo(req.user)) {
+      return res.status(404).json({ msg: "Post not found" });
+    }
+
+    const replies = await Comment.find({
+      $and: [{ post: post._id, ancestors: req.params.commentId }, cursorFilter(cursor, 'createdAt', 1)]
+    })
+      .sort({ createdAt: 1, _id: 1 })
+      .limit(limit + 1)
+      .lean();
+
+    const { items, nextCursor } = buildPage(replies, limit);
+    const reactions = await viewerReactions('comment', items.map(reply => reply._id), req.user._id);
+    res.json({
+      replies: items.map(reply => ({
+        ...maskRemovedComment(reply, req.user),
+        viewerReactions: reactions.get(String(reply._id)) || []
+      })),
+      nextCursor
+    });
+  } catch (err) {
+    console.error('Error fetching replies:', err);
+    res.status(500).json({ msg: "Error fetching replies" });
+  }
+});
+
+// Add comment, or a reply when parentId is given
+router.post('/:id/comments', authMiddleware, requireVerified, rateLimit('comment_create'), validate(schemas.createComment), async (req, res) => {
   try {
     const post = await Post.findById(req.params.id);
-    if (!post) return res.status(404).json({ msg: "Post not found" });
+    if (!post || !post.isVisibleTo(req.user)) return res.status(404).json({ msg: "Post not found" });
+
+    let parent = null;
+    if (req.body.parentId) {
+      parent = await Comment.findOne({ _id: req.body.parentId, post: post._id });
+      if (!parent || parent.moderation?.removedAt) {
+        return res.status(404).json({ msg: "Parent comment not found" });
+      }
+
+      if (parent.ancestors.length + 1 > MAX_COMMENT_DEPTH) {
+        return res.status(400).json({ msg: "Maximum reply depth reached" });
+      }
+    }
 
     // Check if post owner is commenting on their own post
     const isOwnPost = post.author.toString() === req.user.id;
 
+    // Neither the post's author nor the author being replied to may
+    // have blocked the commenter
+    const blockers = [post.author, parent?.author].filter(Boolean);
+    const isBlocked = await User.exists({ _id: { $in: blockers }, blockedUsers: req.user._id });
+    if (isBlocked) {
+      return res.status(403).json({ msg: "You cannot comment here" });
+    }
+
     const comment = new Comment({
       content: req.body.content,
       author: req.user.id,
       post: req.params.id,
+      parent: parent ? parent._id : null,
+      ancestors: parent ? [...parent.ancestors, parent._id] : [],
       firstName: req.user.firstName,
       lastName: req.user.lastName,
       profilePicture: req.user.profilePicture
     });
 
     await comment.save();
-
-    // Create notification only if it's not the post owner
     if (!isOwnPost) {
-      const notification = new Notification({
+      trackStat({ author: post.author, post: post._id, metric: 'comments' });
+    }
+
+    // Let the parent comment's author know about the reply
+    const notifyParent = parent && String(parent.author) !== req.user.id;
+    if (notifyParent) {
+      await createNotification({
+        recipient: parent.author,
+        sender: req.user.id,
+        post: post._id,
+        comment: comment._id,
+        type: 'reply'
+      });
+    }
+
+    // Create notification only if it's not the post owner, and the owner
+    // has not already been told about this reply
+    const ownerAlreadyNotified = notifyParent && String(parent.author) === String(post.author);
+    if (!isOwnPost && !ownerAlreadyNotified) {
+      await createNotification({
         recipient: post.author,
         sender: req.user.id,
         post: post._id,
+        comment: comment._id,
         type: 'comment'
       });
-      await notification.save();
     }
 
     res.status(201).json(comment);
@@ -386,25 +748,76 @@ router.post('/:id/comments', authMiddleware, async (req, res) => {
   }
 });
 
-// Delete comment
-router.delete('/:postId/comments/:commentId', authMiddleware, async (req, res) => {
+// Edit comment
+router.put('/:postId/comments/:commentId', authMiddleware, validate(schemas.updateComment), async (req, res) => {
   try {
-    const comment = await Comment.findById(req.params.commentId);
-    
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      post: req.params.postId
+    });
+
+    if (!comment) {
+      return res.status(404).json({ msg: "Comment not found" });
+    }
+
+    if (String(comment.author) !== String(req.user.id)) {
+      return res.status(403).json({ msg: "Not authorized to edit this comment" });
+    }
+
+    if (comment.moderation?.removedAt) {
+      return res.status(403).json({ msg: "This comment was removed by a moderator" });
+    }
+
+    comment.content = req.body.content;
+    comment.editedAt = new Date();
+    await comment.save();
+
+    res.json({ msg: "Comment updated successfully", comment });
+  } catch (err) {
+    console.error('Edit comment error:', err);
+    res.status(500).json({ msg: "Error updating comment" });
+  }
+});
+
+// Delete comment along with its replies
+router.delete('/:postId/comments/:commentId', authMiddleware, validate(schemas.deleteComment), async (req, res) => {
+  try {
+    // The comment must belong to the post in the URL, or owning any post
+    // would let a user delete comments anywhere
+    const comment = await Comment.findOne({
+      _id: req.params.commentId,
+      post: req.params.postId
+    });
+
     if (!comment) {
       return res.status(404).json({ msg: "Comment not found" });
     }
 
     // Check if user owns the comment or the post
-    const post = await Post.findById(req.params.postId);
+    const post = await Post.findById(comment.post);
     const isCommentOwner = String(comment.author) === String(req.user.id);
-    const isPostOwner = String(post.author) === String(req.user.id);
+    const isPostOwner = post && String(post.author) === String(req.user.id);
 
     if (!isCommentOwner && !isPostOwner) {
       return res.status(403).json({ msg: "Not authorized to delete this comment" });
     }
 
+    const replies = await Comment.find({ ancestors: comment._id }).select('_id author');
+    const removedIds = [comment._id, ...replies.map(reply => reply._id)];
+
+    // Take the comments back out of the analytics of the post they were
+    // left on, which is where they were counted
+    if (post) {
+      const counted = [comment, ...replies].filter(item => String(item.author) !== String(post.author));
+      if (counted.length > 0) {
+        trackStat({ author: post.author, post: comment.post, metric: 'comments', amount: -counted.length });
+      }
+    }
+
+    await Comment.deleteMany({ ancestors: comment._id });
     await comment.deleteOne();
+    await deleteReactionsFor('comment', removedIds);
+    await Notification.deleteMany({ comment: { $in: removedIds } });
     res.json({ msg: "Comment deleted successfully" });
   } catch (err) {
     console.error('Delete comment error:', err);
@@ -413,11 +826,20 @@ router.delete('/:postId/comments/:commentId', authMiddleware, async (req, res) =
 });
 
 // Get user's posts by user ID
-router.get('/user/:userId', authMiddleware, async (req, res) => {
+router.get('/user/:userId', authMiddleware, validate(schemas.userPosts), async (req, res) => {
   try {
-    const posts = await Post.find({ author: req.params.userId })
-      .sort({ createdAt: -1 });
-    res.json(posts);
+    const { limit, cursor, invalid } = parsePageQuery(req.query);
+    if (invalid) {
+      return res.status(400).json({ msg: "Invalid cursor" });
+    }
+
+    const author = new mongoose.Types.ObjectId(req.params.userId);
+    const isSelf = String(author) === String(req.user._id);
+    const match = isSelf ? { author } : { author, ...Post.publishedFilter() };
+
+    // The author's own view includes drafts, which have no publish time
+    const page = await fetchPostPage(match, { limit, cursor, sortField: isSelf ? 'createdAt' : 'publishedAt' });
+    res.json(page);
   } catch (err) {
     res.status(500).json({ msg: "Error fetching user posts" });
   }
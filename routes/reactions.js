@@ -0,0 +1,162 @@
+import express from 'express';
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+import Notification from '../models/Notification.js';
+import Reaction from '../models/Reaction.js';
+import User from '../models/User.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../validation/reactions.js';
+import { REACTIONS } from '../config/reactions.js';
+import { parsePageQuery, cursorFilter, buildPage } from '../utils/pagination.js';
+import { addReaction, removeReaction, reactionSummary } from '../utils/reactions.js';
+import { createNotification } from '../utils/notify.js';
+import { trackStat } from '../utils/analytics.js';
+
+// Load the post into req.target
+const loadPost = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    if (!post || !post.isVisibleTo(req.user)) {
+      return res.status(404).json({ msg: "Post not found" });
+    }
+
+    req.post = post;
+    req.target = post;
+    next();
+  } catch (err) {
+    res.status(500).json({ msg: "Error fetching post" });
+  }
+};
+
+// Load the comment into req.target. Removed comments can't be reacted to.
+const loadComment = async (req, res, next) => {
+  try {
+    const [post, comment] = await Promise.all([
+      Post.findById(req.params.postId),
+      Comment.findOne({ _id: req.params.commentId, post: req.params.postId })
+    ]);
+    if (!post || !post.isVisibleTo(req.user) || !comment || comment.moderation?.removedAt) {
+      return res.status(404).json({ msg: "Comment not found" });
+    }
+
+    req.post = post;
+    req.target = comment;
+    next();
+  } catch (err) {
+    res.status(500).json({ msg: "Error fetching comment" });
+  }
+};
+
+// Reactions on a post or comment. Mounted after authMiddleware under
+// /api/posts/:id/reactions and /api/posts/:postId/comments/:commentId/reactions.
+export const createReactionRouter = (targetType) => {
+  const router = express.Router({ mergeParams: true });
+  router.use(targetType === 'post' ? loadPost : loadComment);
+
+  // Counts per reaction, the viewer's own reactions and the reactions on offer
+  router.get('/', async (req, res) => {
+    try {
+      const summary = await reactionSummary(targetType, req.target._id, req.user._id);
+      res.json({ ...summary, available: REACTIONS });
+    } catch (err) {
+      res.status(500).json({ msg: "Error fetching reactions" });
+    }
+  });
+
+  // Who reacted, newest first, optionally only with ?reaction=
+  router.get('/users', validate(schemas.reactors), async (req, res) => {
+    try {
+      const { limit, cursor, invalid } = parsePageQuery(req.query);
+      if (invalid) {
+        return res.status(400).json({ msg: "Invalid cursor" });
+      }
+
+      const match = { targetType, target: req.target._id };
+      if (req.query.reaction) {
+        match.reaction = req.query.reaction;
+      }
+
+      const reactions = await Reaction.find({ $and: [match, cursorFilter(cursor)] })
+        .populate('user', 'firstName lastName profilePicture')
+        .sort({ createdAt: -1, _id: -1 })
+        .limit(limit + 1);
+
+      const { items, nextCursor } = buildPage(reactions, limit);
+      res.json({
+        users: items
+          .filter(item => item.user)
+          .map(item => ({ user: item.user, reaction: item.reaction, createdAt: item.createdAt })),
+        nextCursor
+      });
+    } catch (err) {
+      res.status(500).json({ msg: "Error fetching reactions" });
+    }
+  });
+
+  router.put('/:reaction', validate(schemas.react), async (req, res) => {
+    try {
+      const owner = req.target.author;
+      const isOwn = String(owner) === String(req.user._id);
+      if (!isOwn && await User.isBlockedBy(owner, req.user._id)) {
+        return res.status(403).json({ msg: "You cannot interact with this user's posts" });
+      }
+
+      const added = await addReaction(targetType, req.target._id, req.user._id, req.params.reaction);
+
+      // Post authors hear about the first reaction from each person, and
+      // only that one counts as a like in analytics
+      if (added && targetType === 'post' && !isOwn) {
+        const reactedBefore = await Reaction.exists({
+          targetType,
+          target: req.target._id,
+          user: req.user._id,
+          reaction: { $ne: req.params.reaction }
+        });
+        if (!reactedBefore) {
+          trackStat({ author: owner, post: req.target._id, metric: 'likes' });
+          await createNotification({
+            recipient: owner,
+            sender: req.user._id,
+            post: req.target._id,
+            type: 'like',
+            reaction: req.params.reaction
+          });
+        }
+      }
+
+      res.json(await reactionSummary(targetType, req.target._id, req.user._id));
+    } catch (err) {
+      console.error('Add reaction error:', err);
+      res.status(500).json({ msg: "Error adding reaction" });
+    }
+  });
+
+  router.delete('/:reaction', validate(schemas.react), async (req, res) => {
+    try {
+      const removed = await removeReaction(targetType, req.target._id, req.user._id, req.params.reaction);
+
+      // Take back the notification and the like once nothing is left
+      if (removed && targetType === 'post') {
+        const stillReacting = await Reaction.exists({ targetType, target: req.target._id, user: req.user._id });
+        if (!stillReacting) {
+          if (String(req.target.author) !== String(req.user._id)) {
+            trackStat({ author: req.target.author, post: req.target._id, metric: 'likes', amount: -1 });
+          }
+          await Notification.deleteMany({
+            recipient: req.target.author,
+            sender: req.user._id,
+            post: req.target._id,
+            type: 'like'
+          });
+        }
+      }
+
+      res.json(await reactionSummary(targetType, req.target._id, req.user._id));
+    } catch (err) {
+      console.error('Remove reaction error:', err);
+      res.status(500).json({ msg: "Error removing reaction" });
+    }
+  });
+
+  return router;
+};
@@ -0,0 +1,51 @@
+import express from 'express';
+import Report from '../models/Report.js';
+import { authMiddleware } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../validation/reports.js';
+import { findReportTarget, reportTargetOwner, autoHideIfNeeded } from '../utils/reports.js';
+
+const router = express.Router();
+
+// Report a post, comment or profile
+router.post('/', authMiddleware, rateLimit('report_create'), validate(schemas.createReport), async (req, res) => {
+  try {
+    const { targetType, targetId, reason, detail = '' } = req.body;
+
+    const target = await findReportTarget(targetType, targetId);
+    if (!target) {
+      return res.status(404).json({ msg: "Reported item not found" });
+    }
+
+    if (String(reportTargetOwner(targetType, target)) === String(req.user._id)) {
+      return res.status(400).json({ msg: "You cannot report your own content" });
+    }
+
+    const exists = await Report.exists({ reporter: req.user._id, targetType, targetId });
+    if (exists) {
+      return res.status(409).json({ msg: "You have already reported this" });
+    }
+
+    const report = await Report.create({
+      reporter: req.user._id,
+      targetType,
+      targetId,
+      reason,
+      detail: detail.trim()
+    });
+
+    await autoHideIfNeeded(targetType, target);
+
+    res.status(201).json({ msg: "Report submitted", report });
+  } catch (err) {
+    // Two identical reports sent at the same moment
+    if (err.code === 11000) {
+      return res.status(409).json({ msg: "You have already reported this" });
+    }
+    console.error('Report error:', err);
+    res.status(500).json({ msg: "Error submitting report" });
+  }
+});
+
+export default router;
@@ -0,0 +1,135 @@
+import express from 'express';
+import { diffLines, diffWords } from 'diff';
+import Post from '../models/Post.js';
+import PostRevision from '../models/PostRevision.js';
+import Asset from '../models/Asset.js';
+import { syncAssetUsage, postAssetIds } from '../utils/media.js';
+import { validate } from '../middleware/validate.js';
+import * as schemas from '../validation/posts.js';
+
+// Mounted under /api/posts/:id/revisions, after authMiddleware
+const router = express.Router({ mergeParams: true });
+
+// Only the author of a post may see or restore its history
+const loadOwnPost = async (req, res, next) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    if (!post) {
+      return res.status(404).json({ msg: "Post not found" });
+    }
+
+    if (String(post.author) !== String(req.user.id)) {
+      return res.status(403).json({ msg: "Not authorized to view this post's revisions" });
+    }
+
+    req.post = post;
+    next();
+  } catch (err) {
+    res.status(500).json({ msg: "Error fetching post" });
+  }
+};
+
+// Resolve a revision number, or "current" for the live post
+const findVersion = async (post, number) => {
+  if (!number || number === 'current') {
+    return { number: 'current', title: post.title, content: post.content, image: post.image };
+  }
+
+  return PostRevision.findOne({ post: post._id, number: parseInt(number, 10) || 0 }).lean();
+};
+
+router.use(loadOwnPost);
+
+// List revisions, newest first
+router.get('/', async (req, res) => {
+  try {
+    const revisions = await PostRevision.find({ post: req.post._id })
+      .select('number title editedBy createdAt')
+      .sort({ number: -1 });
+    res.json(revisions);
+  } catch (err) {
+    res.status(500).json({ msg: "Error fetching revisions" });
+  }
+});
+
+// Diff two versions: ?from=<number>&to=<number|current>&mode=line|word
+router.get('/diff', validate(schemas.revisionDiff), async (req, res) => {
+  try {
+    const { from, to = 'current', mode = 'line' } = req.query;
+
+    const [before, after] = await Promise.all([
+      findVersion(req.post, from),
+      findVersion(req.post, to)
+    ]);
+    if (!before || !after) {
+      return res.status(404).json({ msg: "Revision not found" });
+    }
+
+    const diff = mode === 'word' ? diffWords : diffLines;
+    res.json({
+      from: before.number,
+      to: after.number,
+      mode,
+      title: diffWords(before.title, after.title),
+      content: diff(before.content, after.content),
+      imageChanged: before.image !== after.image
+    });
+  } catch (err) {
+    console.error('Revision diff error:', err);
+    res.status(500).json({ msg: "Error comparing revisions" });
+  }
+});
+
+// Get a single revision
+router.get('/:number', validate(schemas.revisionNumber), async (req, res) => {
+  try {
+    const revision = await PostRevision.findOne({
+      post: req.post._id,
+      number: parseInt(req.params.number, 10) || 0
+    });
+    if (!revision) {
+      return res.status(404).json({ msg: "Revision not found" });
+    }
+    res.json(revision);
+  } catch (err) {
+    res.status(500).json({ msg: "Error fetching revision" });
+  }
+});
+
+// Make an old revision the current version. The version being replaced
+// is itself kept as a new revision, so a restore can be undone.
+router.post('/:number/restore', async (req, res) => {
+  try {
+    const post = req.post;
+    const revision = await PostRevision.findOne({
+      post: post._id,
+      number: parseInt(req.params.number, 10) || 0
+    });
+    if (!revision) {
+      return res.status(404).json({ msg: "Revision not found" });
+    }
+
+    await PostRevision.record(post, post, req.user.id);
+
+    post.title = revision.title;
+    post.content = revision.content;
+
+    // Revisions keep their image's asset alive, but ones recorded before
+    // that may point at an asset that has since been deleted
+    const asset = revision.imageAsset && await Asset.findById(revision.imageAsset);
+    if (!revision.imageAsset || asset) {
+      post.image = revision.image;
+      post.imageAsset = revision.imageAsset;
+      post.imageVariants = asset ? asset.variantUrls() : { full: revision.image };
+    }
+    await post.save();
+    await syncAssetUsage('post', post._id, postAssetIds(post));
+
+    res.json({ msg: "Revision restored successfully", post });
+  } catch (err) {
+    console.error('Revision restore error:', err);
+    res.status(500).json({ msg: "Error restoring revision" });
+  }
+});
+
+export default router;
@@ -0,0 +1,53 @@
+// One-off: store post content as raw Markdown and fill Post.contentHtml.
+// Posts saved before this had their Markdown partly converted to HTML by
+// the old content setter; that is undone first. Revisions get the same
+// treatment so diffs against the live post stay meaningful.
+// Usage: node scripts/backfillContentHtml.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Post from '../models/Post.js';
+import PostRevision from '../models/PostRevision.js';
+import { renderMarkdown, legacyHtmlToMarkdown } from '../utils/markdown.js';
+
+dotenv.config();
+
+// What the old content setter turned Markdown emphasis into
+const LEGACY_TAGS = /<(strong|em|u)>/;
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Posts never rendered, and any a save rendered before their content
+  // was converted (they still hold the old setter's tags)
+  const posts = Post.find({
+    $or: [{ contentHtml: { $exists: false } }, { contentHtml: '' }, { content: LEGACY_TAGS }]
+  })
+    .select('content')
+    .lean()
+    .cursor();
+  let updatedPosts = 0;
+  for await (const post of posts) {
+    const content = legacyHtmlToMarkdown(post.content);
+    await Post.updateOne(
+      { _id: post._id },
+      { content, contentHtml: renderMarkdown(content) },
+      { timestamps: false }
+    );
+    updatedPosts++;
+  }
+
+  const revisions = PostRevision.find({ content: LEGACY_TAGS }).select('content').lean().cursor();
+  let updatedRevisions = 0;
+  for await (const revision of revisions) {
+    await PostRevision.updateOne({ _id: revision._id }, { content: legacyHtmlToMarkdown(revision.content) });
+    updatedRevisions++;
+  }
+
+  console.log(`Backfilled ${updatedPosts} posts and ${updatedRevisions} revisions`);
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,29 @@
+// One-off: fill User.following from the existing subscribers arrays.
+// Usage: node scripts/backfillFollowing.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const authors = User.find({ 'subscribers.0': { $exists: true } }).select('subscribers').cursor();
+  let updated = 0;
+  for await (const author of authors) {
+    const result = await User.updateMany(
+      { _id: { $in: author.subscribers } },
+      { $addToSet: { following: author._id } }
+    );
+    updated += result.modifiedCount;
+  }
+
+  console.log(`Added ${updated} following entries`);
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
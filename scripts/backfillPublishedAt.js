@@ -0,0 +1,27 @@
+// One-off: set Post.publishedAt on posts that went live before it existed,
+// using their creation time. Listings, feeds and digests sort and filter
+// on publishedAt, so posts without one would drop out of them.
+// Usage: node scripts/backfillPublishedAt.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Post from '../models/Post.js';
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const result = await Post.updateMany(
+    { status: { $in: ['published', 'archived', null] }, publishedAt: null },
+    [{ $set: { publishedAt: '$createdAt' } }],
+    { timestamps: false }
+  );
+
+  console.log(`Backfilled publishedAt on ${result.modifiedCount} posts`);
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,32 @@
+// One-off: record each post's revision history as a usage of the images
+// its revisions point at, so replacing a cover no longer deletes an image
+// a revision could restore. Images already deleted cannot be recovered.
+// Usage: node scripts/backfillRevisionAssets.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Asset from '../models/Asset.js';
+import PostRevision from '../models/PostRevision.js';
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const revisions = PostRevision.find({ imageAsset: { $ne: null } }).select('post imageAsset').lean().cursor();
+  let updated = 0;
+  for await (const revision of revisions) {
+    const result = await Asset.updateOne(
+      { _id: revision.imageAsset },
+      { $addToSet: { usage: { kind: 'revision', ref: revision.post } } }
+    );
+    updated += result.modifiedCount;
+  }
+
+  console.log(`Recorded ${updated} revision image usages`);
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,30 @@
+// One-off: give posts created before slugs existed one, so /slug/:slug
+// finds them. Older posts go first and get the plain title slug when
+// titles collide. Saving runs the same hook as any other post save.
+// Usage: node scripts/backfillSlugs.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import Post from '../models/Post.js';
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  const posts = Post.find({ $or: [{ slug: { $exists: false } }, { slug: null }, { slug: '' }] })
+    .sort({ createdAt: 1, _id: 1 })
+    .cursor();
+  let updated = 0;
+  for await (const post of posts) {
+    await post.save({ timestamps: false, validateBeforeSave: false });
+    updated++;
+  }
+
+  console.log(`Backfilled slugs on ${updated} posts`);
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
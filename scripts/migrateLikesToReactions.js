@@ -0,0 +1,53 @@
+// One-off: move the `likes` arrays embedded in posts into the Reaction
+// collection as the default reaction, and set Post.reactionCounts.
+// Safe to run again; posts already migrated have no `likes` left.
+// Usage: node scripts/migrateLikesToReactions.js
+// First, so REACTIONS from .env is seen when config/reactions.js loads
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import Post from '../models/Post.js';
+import Reaction from '../models/Reaction.js';
+import { DEFAULT_REACTION } from '../config/reactions.js';
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // `likes` is no longer in the schema, so read the raw documents
+  const posts = Post.collection.find({ likes: { $exists: true } }, { projection: { likes: 1, createdAt: 1 } });
+  let migratedPosts = 0;
+  let migratedLikes = 0;
+  for await (const post of posts) {
+    const likes = post.likes || [];
+    if (likes.length > 0) {
+      try {
+        await Reaction.insertMany(likes.map(userId => ({
+          targetType: 'post',
+          target: post._id,
+          user: userId,
+          reaction: DEFAULT_REACTION,
+          // When each like happened was never stored
+          createdAt: post.createdAt
+        })), { ordered: false });
+      } catch (err) {
+        // Likes already copied by an earlier, interrupted run
+        if (err.code !== 11000 && !err.writeErrors?.every(writeErr => writeErr.code === 11000)) throw err;
+      }
+    }
+
+    const count = await Reaction.countDocuments({ targetType: 'post', target: post._id, reaction: DEFAULT_REACTION });
+    await Post.collection.updateOne(
+      { _id: post._id },
+      { $set: { [`reactionCounts.${DEFAULT_REACTION}`]: count }, $unset: { likes: '' } }
+    );
+    migratedPosts++;
+    migratedLikes += likes.length;
+  }
+
+  console.log(`Migrated ${migratedLikes} likes on ${migratedPosts} posts to "${DEFAULT_REACTION}" reactions`);
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
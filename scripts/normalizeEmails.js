@@ -0,0 +1,64 @@
+// One-off: lowercase User.email. Sign-in and password resets look addresses
+// up in lowercase, so accounts stored with mixed case could not be found.
+// When several accounts share an address apart from case, the verified one
+// (oldest first) keeps it; the others are renamed to
+// local+duplicate-<id>@domain and listed so support can merge them by hand.
+// Usage: node scripts/normalizeEmails.js
+import mongoose from 'mongoose';
+import dotenv from 'dotenv';
+import User from '../models/User.js';
+
+dotenv.config();
+
+const duplicateAddress = (email, id) => {
+  const at = email.lastIndexOf('@');
+  return `${email.slice(0, at)}+duplicate-${id}${email.slice(at)}`;
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  // Raw collection: the model would lowercase the values we filter on
+  const groups = User.collection.aggregate([
+    { $group: {
+      _id: { $toLower: '$email' },
+      users: { $push: { _id: '$_id', email: '$email', emailVerified: '$emailVerified', createdAt: '$createdAt' } }
+    } },
+    { $match: { $expr: { $or: [
+      { $gt: [{ $size: '$users' }, 1] },
+      { $ne: [{ $arrayElemAt: ['$users.email', 0] }, '$_id'] }
+    ] } } }
+  ]);
+
+  let updated = 0;
+  const duplicates = [];
+  for await (const group of groups) {
+    const [keeper, ...others] = group.users.sort((a, b) =>
+      (b.emailVerified !== false) - (a.emailVerified !== false) || (a.createdAt || 0) - (b.createdAt || 0)
+    );
+
+    // Move the others out of the way first so the unique index holds
+    for (const user of others) {
+      const email = duplicateAddress(group._id, user._id);
+      await User.collection.updateOne({ _id: user._id }, { $set: { email } });
+      duplicates.push(`${user._id}: ${user.email} -> ${email} (kept by ${keeper._id})`);
+      updated++;
+    }
+    if (keeper.email !== group._id) {
+      await User.collection.updateOne({ _id: keeper._id }, { $set: { email: group._id } });
+      updated++;
+    }
+  }
+
+  console.log(`Normalized ${updated} email addresses`);
+  if (duplicates.length) {
+    console.log(`Renamed ${duplicates.length} duplicate accounts:`);
+    duplicates.forEach(line => console.log(`  ${line}`));
+  }
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
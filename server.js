@@ -1,6 +1,7 @@
+// Load .env before any module below reads process.env at import time
+import 'dotenv/config';
 import express from 'express';
 import mongoose from 'mongoose';
-import dotenv from 'dotenv';
 import cors from 'cors';
 
 import authRoutes from './routes/auth.js';
@@ -8,22 +9,60 @@ import postRoutes from './routes/posts.js';
 import notificationRoutes from './routes/notifications.js';
 // Add this import
 import aiRoutes from './routes/ai.js';
+import adminRoutes from './routes/admin.js';
+import reportRoutes from './routes/reports.js';
+import bookmarkRoutes from './routes/bookmarks.js';
+import mediaRoutes from './routes/media.js';
+import feedRoutes from './routes/feeds.js';
+import metaRoutes from './routes/meta.js';
+import analyticsRoutes from './routes/analytics.js';
 import passport from './config/passport.js';
+import { errorShape, notFoundHandler, errorHandler } from './middleware/errorHandler.js';
+import { storageDriver } from './storage/index.js';
+import { startPostScheduler } from './jobs/postScheduler.js';
+import { startNotificationBus } from './utils/notificationBus.js';
+import { startDigestScheduler } from './jobs/notificationDigest.js';
 
-dotenv.config();
 const app = express();
+// Behind a proxy, req.ip (used for rate limits) must come from X-Forwarded-For
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
 app.use(cors());
+app.use(errorShape);
 app.use(express.json());
 
+// Uploads kept on local disk (see storage/) are served from here. This
+// also fails startup early if the storage config is missing or wrong.
+if (storageDriver() === 'local') {
+  app.use('/uploads', express.static(process.env.UPLOADS_DIR || 'uploads', { maxAge: '7d' }));
+}
+
 app.use('/api/auth', authRoutes);
 app.use('/api/posts', postRoutes);
 app.use('/api/notifications', notificationRoutes);
 // Add this route
 app.use('/api/ai', aiRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/bookmarks', bookmarkRoutes);
+app.use('/api/media', mediaRoutes);
+app.use('/api/feeds', feedRoutes);
+app.use('/api/meta', metaRoutes);
+app.use('/api/analytics', analyticsRoutes);
 app.use(passport.initialize());
 
+// Unknown routes and errors share the { msg, code, details } format
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 mongoose.connect(process.env.MONGO_URI)
-  .then(() => app.listen(process.env.PORT, () => console.log("Server started at port", process.env.PORT)))
+  .then(() => {
+    startPostScheduler();
+    startNotificationBus();
+    startDigestScheduler();
+    app.listen(process.env.PORT, () => console.log("Server started at port", process.env.PORT));
+  })
   .catch(err => console.error(err));
 
 // Add after other environment checks
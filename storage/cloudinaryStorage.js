@@ -0,0 +1,20 @@
+import cloudinary from '../config/cloudinary.js';
+
+export const createCloudinaryStorage = () => ({
+  name: 'cloudinary',
+  save: async ({ key, buffer, contentType }) => {
+    const b64 = Buffer.from(buffer).toString('base64');
+    const dataURI = `data:${contentType};base64,${b64}`;
+
+    // Cloudinary adds the extension itself
+    const uploadResponse = await cloudinary.uploader.upload(dataURI, {
+      public_id: key.replace(/\.[^/.]+$/, ''),
+      resource_type: 'image'
+    });
+
+    return { id: uploadResponse.public_id, url: uploadResponse.secure_url };
+  },
+  remove: async (id) => {
+    await cloudinary.uploader.destroy(id, { resource_type: 'image' });
+  }
+});
@@ -0,0 +1,49 @@
+import { createLocalStorage } from './localStorage.js';
+
+// A storage backend is any object with
+//   async save({ key, buffer, contentType }) -> { id, url }
+//   async remove(id)
+// where `key` is a path such as "blog_images/abc123-full.webp"
+let storage = null;
+
+const DRIVERS = ['local', 'cloudinary'];
+
+// STORAGE_DRIVER picks the backend. Without it, deployments configured for
+// Cloudinary keep using it; local disk needs STORAGE_DRIVER=local in
+// production so uploads never land on a server's disk by accident.
+export const storageDriver = () => {
+  const driver = process.env.STORAGE_DRIVER;
+  if (driver) {
+    if (!DRIVERS.includes(driver)) {
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}"; use one of ${DRIVERS.join(', ')}`);
+    }
+    return driver;
+  }
+  if (process.env.CLOUDINARY_CLOUD_NAME) return 'cloudinary';
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('Set STORAGE_DRIVER, or CLOUDINARY_* for Cloudinary, before starting in production');
+  }
+  return 'local';
+};
+
+const createDefaultStorage = async () => {
+  if (storageDriver() === 'cloudinary') {
+    // Imported lazily so local development doesn't need Cloudinary config
+    const { createCloudinaryStorage } = await import('./cloudinaryStorage.js');
+    return createCloudinaryStorage();
+  }
+  return createLocalStorage();
+};
+
+// Swap the backend, e.g. for a stub in tests. Pass null to go back to
+// the one chosen by storageDriver().
+export const setStorage = (next) => {
+  storage = next;
+};
+
+export const getStorage = async () => {
+  if (!storage) {
+    storage = await createDefaultStorage();
+  }
+  return storage;
+};
@@ -0,0 +1,35 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { apiUrl } from '../utils/urls.js';
+
+// Development storage: writes files under `dir`, which server.js serves
+// statically at /uploads
+export const createLocalStorage = ({
+  dir = process.env.UPLOADS_DIR || 'uploads',
+  baseUrl = process.env.UPLOADS_URL || `${apiUrl()}/uploads`
+} = {}) => {
+  const root = path.resolve(dir);
+
+  // Ids are paths relative to the root; never let one escape it
+  const resolve = (id) => {
+    const file = path.resolve(root, id);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage id: ${id}`);
+    }
+    return file;
+  };
+
+  return {
+    name: 'local',
+    dir: root,
+    save: async ({ key, buffer }) => {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+      return { id: key, url: `${baseUrl}/${key}` };
+    },
+    remove: async (id) => {
+      await fs.rm(resolve(id), { force: true });
+    }
+  };
+};
@@ -0,0 +1,60 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import ActionToken from '../models/ActionToken.js';
+
+const TTL_SECONDS = {
+  verify_email: 24 * 60 * 60,
+  reset_password: 60 * 60,
+  // Swapped for session tokens right after the Google redirect
+  oauth_login: 60
+};
+
+export class ActionTokenError extends Error {}
+
+// Sign a single-use token for one purpose. Older unused tokens for the
+// same purpose are cancelled so only the latest email link works.
+export const createActionToken = async (user, purpose) => {
+  const jti = crypto.randomUUID();
+  const ttl = TTL_SECONDS[purpose];
+
+  await ActionToken.updateMany(
+    { user: user._id, purpose, usedAt: null },
+    { usedAt: new Date() }
+  );
+  await ActionToken.create({
+    jti,
+    user: user._id,
+    purpose,
+    expiresAt: new Date(Date.now() + ttl * 1000)
+  });
+
+  return jwt.sign({ sub: String(user._id), purpose }, process.env.JWT_SECRET, {
+    expiresIn: ttl,
+    jwtid: jti
+  });
+};
+
+// Check the signature, purpose and expiry, then mark the token used.
+// Resolves to the id of the user it was issued for.
+export const consumeActionToken = async (token, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(String(token), process.env.JWT_SECRET);
+  } catch (err) {
+    throw new ActionTokenError("Invalid or expired token");
+  }
+
+  if (decoded.purpose !== purpose || !decoded.jti) {
+    throw new ActionTokenError("Invalid or expired token");
+  }
+
+  const record = await ActionToken.findOneAndUpdate(
+    { jti: decoded.jti, purpose, usedAt: null },
+    { usedAt: new Date() }
+  );
+  if (!record) {
+    throw new ActionTokenError("This link has already been used");
+  }
+
+  return record.user;
+};
@@ -0,0 +1,175 @@
+import PostView from '../models/PostView.js';
+import StatRollup from '../models/StatRollup.js';
+import { appUrl } from './urls.js';
+
+// Repeat views by the same reader within this window count once
+export const VIEW_WINDOW_MS = parseInt(process.env.VIEW_DEDUPE_WINDOW_MS, 10) || 30 * 60 * 1000;
+
+export const SERIES_METRICS = ['views', 'likes', 'comments', 'subscribers'];
+
+// Distinct referring sites kept per post and day; views from any further
+// sites are counted under "other", so ?ref= can't create rollups at will
+export const MAX_REFERRERS = parseInt(process.env.ANALYTICS_MAX_REFERRERS, 10) || 25;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Add to a daily counter. Undoing an action (unlike, unsubscribe, deleting
+// a comment) adds -1 on the day it happens, so each day holds the net change.
+export const incrementStat = ({ author, post = null, metric, key = '', amount = 1, at = new Date() }) => (
+  StatRollup.updateOne(
+    { author, post, day: startOfDay(at), metric, key },
+    { $inc: { count: amount } },
+    { upsert: true }
+  )
+);
+
+// Bump a counter from a request handler without failing the request
+export const trackStat = (stat) => {
+  incrementStat(stat).catch(err => console.error('Analytics error:', err));
+};
+
+// Where a view came from: the referring site's host name, "internal"
+// for links inside the app, or "direct". The frontend passes
+// document.referrer as ?ref=, since its own fetches always carry the
+// app's URL as Referer.
+export const referrerKey = (ref) => {
+  if (!ref) return 'direct';
+  try {
+    const url = new URL(ref);
+    if (!['http:', 'https:'].includes(url.protocol)) return 'other';
+    const host = url.hostname.toLowerCase();
+    if (!host) return 'direct';
+    return host === new URL(appUrl()).hostname ? 'internal' : host.replace(/^www\./, '');
+  } catch {
+    return 'direct';
+  }
+};
+
+// Count a view of a published post unless it's the author's own or a
+// repeat within VIEW_WINDOW_MS. Resolves to whether it was counted.
+export const recordView = async (post, viewer, ref) => {
+  const authorId = post.author?._id || post.author;
+  if (String(authorId) === String(viewer._id)) return false;
+
+  try {
+    const result = await PostView.updateOne(
+      { post: post._id, viewer: viewer._id, window: Math.floor(Date.now() / VIEW_WINDOW_MS) },
+      { $setOnInsert: { createdAt: new Date() } },
+      { upsert: true }
+    );
+    if (!result.upsertedCount) return false;
+  } catch (err) {
+    // Lost a race with a concurrent view from the same reader
+    if (err.code === 11000) return false;
+    throw err;
+  }
+
+  const key = await cappedReferrerKey(authorId, post._id, referrerKey(ref));
+  await Promise.all([
+    incrementStat({ author: authorId, post: post._id, metric: 'views' }),
+    incrementStat({ author: authorId, post: post._id, metric: 'referrer', key })
+  ]);
+  return true;
+};
+
+// `key` if today's rollups for the post already have it or still have
+// room for it, otherwise "other". Concurrent views may overshoot the cap
+// by a few, which is fine.
+const cappedReferrerKey = async (author, post, key) => {
+  if (['direct', 'internal', 'other'].includes(key)) return key;
+
+  const match = { author, post, day: startOfDay(new Date()), metric: 'referrer' };
+  if (await StatRollup.exists({ ...match, key })) return key;
+  const known = await StatRollup.countDocuments(match);
+  return known < MAX_REFERRERS ? key : 'other';
+};
+
+// Start of the bucket holding `date`. Weeks start on Monday (UTC).
+export const bucketStart = (date, interval) => {
+  const start = startOfDay(date);
+  if (interval === 'week') {
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  } else if (interval === 'month') {
+    start.setUTCDate(1);
+  }
+  return start;
+};
+
+const nextBucket = (start, interval) => {
+  const next = new Date(start);
+  if (interval === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+  return next;
+};
+
+// Resolve ?from=&to= to whole UTC days, defaulting to the last 30
+export const resolveRange = ({ from, to }) => {
+  const end = startOfDay(to ? new Date(to) : new Date());
+  const start = startOfDay(from ? new Date(from) : end.getTime() - 29 * DAY_MS);
+  return { from: start, to: end };
+};
+
+// Counts of each metric per bucket between `from` and `to`, with empty
+// buckets filled in. `match` picks the author and optionally a post.
+export const statSeries = async (match, { from, to, interval = 'day', metrics = SERIES_METRICS }) => {
+  const rows = await StatRollup.aggregate([
+    { $match: { ...match, metric: { $in: metrics }, day: { $gte: from, $lte: to } } },
+    { $group: { _id: { day: '$day', metric: '$metric' }, count: { $sum: '$count' } } }
+  ]);
+
+  const empty = () => Object.fromEntries(metrics.map(metric => [metric, 0]));
+  const buckets = new Map();
+  for (let start = bucketStart(from, interval); start <= to; start = nextBucket(start, interval)) {
+    buckets.set(start.getTime(), { start, ...empty() });
+  }
+
+  const totals = empty();
+  for (const row of rows) {
+    const bucket = buckets.get(bucketStart(row._id.day, interval).getTime());
+    if (bucket) {
+      bucket[row._id.metric] += row.count;
+    }
+    totals[row._id.metric] += row.count;
+  }
+
+  return { interval, from, to, totals, buckets: [...buckets.values()] };
+};
+
+// Posts with the highest count of `metric` in the range
+export const topPosts = (authorId, { from, to, metric = 'views', limit = 10 }) => StatRollup.aggregate([
+  { $match: { author: authorId, post: { $ne: null }, metric, day: { $gte: from, $lte: to } } },
+  { $group: { _id: '$post', count: { $sum: '$count' } } },
+  { $sort: { count: -1, _id: -1 } },
+  { $limit: limit },
+  {
+    $lookup: {
+      from: 'posts',
+      let: { postId: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$_id', '$$postId'] } } },
+        { $project: { title: 1, slug: 1, status: 1, createdAt: 1 } }
+      ],
+      as: 'post'
+    }
+  },
+  { $unwind: '$post' },
+  { $project: { _id: 0, post: 1, count: 1 } }
+]);
+
+// Views per referring site in the range, most first
+export const referrerBreakdown = (match, { from, to, limit = 20 }) => StatRollup.aggregate([
+  { $match: { ...match, metric: 'referrer', day: { $gte: from, $lte: to } } },
+  { $group: { _id: '$key', views: { $sum: '$count' } } },
+  { $sort: { views: -1, _id: 1 } },
+  { $limit: limit },
+  { $project: { _id: 0, referrer: '$_id', views: 1 } }
+]);
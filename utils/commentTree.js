@@ -0,0 +1,34 @@
+// Nest a flat list of comments under their parents. `roots` keeps its
+// order; replies are attached oldest first so threads read top to bottom.
+export const buildCommentTree = (roots, replies) => {
+  const nodes = new Map();
+
+  for (const comment of [...roots, ...replies]) {
+    nodes.set(String(comment._id), { ...comment, replies: [] });
+  }
+
+  const sortedReplies = [...replies].sort((a, b) => a.createdAt - b.createdAt);
+  for (const reply of sortedReplies) {
+    const parent = nodes.get(String(reply.parent));
+    if (parent) {
+      parent.replies.push(nodes.get(String(reply._id)));
+    }
+  }
+
+  return roots.map(root => nodes.get(String(root._id)));
+};
+
+// Blank out comments a moderator removed, keeping them as placeholders
+// so their replies still have a place in the thread
+export const maskRemovedComment = (comment, viewer) => {
+  if (!comment.moderation?.removedAt) {
+    const { moderation, ...rest } = comment;
+    return rest;
+  }
+  if (viewer && viewer.isModerator()) {
+    return { ...comment, removed: true };
+  }
+
+  const { moderation, ...rest } = comment;
+  return { ...rest, content: null, removed: true };
+};
@@ -0,0 +1,24 @@
+// Error codes sent with each status unless a route picks its own
+export const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR'
+};
+
+export const codeForStatus = (status) => STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+// An error that should reach the client as-is. `details` lists
+// field-level problems as { location, field, message }.
+export class HttpError extends Error {
+  constructor(status, message, { code = codeForStatus(status), details = [] } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
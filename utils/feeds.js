@@ -0,0 +1,148 @@
+import crypto from 'crypto';
+import { escapeHtml } from './html.js';
+import { excerpt, renderMarkdown } from './markdown.js';
+import { postUrl, profileUrl } from './urls.js';
+
+// Feeds are built from one neutral shape:
+//   { title, description, link, selfUrl, updated, author?, items }
+// where each item is
+//   { id, url, title, contentHtml, summary, published, updated, author, tags, image }
+
+const IMAGE_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp' };
+
+// Enclosure details for a post's cover image. Uploaded images have an
+// asset (populated by the caller) with the stored size.
+const feedImage = (post) => {
+  if (!post.image) return null;
+
+  const full = post.imageAsset?.variants?.find(variant => variant.name === 'full');
+  const extension = post.image.split('?')[0].split('.').pop().toLowerCase();
+  return {
+    url: post.image,
+    type: full ? 'image/webp' : IMAGE_TYPES[extension] || 'image/jpeg',
+    length: full?.size || 0
+  };
+};
+
+export const feedAuthor = (user) => ({
+  name: `${user.firstName} ${user.lastName}`,
+  url: profileUrl(user._id),
+  avatar: user.profilePicture || undefined
+});
+
+export const feedItem = (post) => {
+  const contentHtml = post.contentHtml || renderMarkdown(post.content);
+  return {
+    id: String(post._id),
+    url: postUrl(post),
+    title: post.title,
+    contentHtml,
+    summary: excerpt(contentHtml),
+    published: post.publishedAt || post.createdAt,
+    updated: post.updatedAt || post.createdAt,
+    author: feedAuthor({ _id: post.author, firstName: post.firstName, lastName: post.lastName, profilePicture: post.profilePicture }),
+    tags: post.tags || [],
+    image: feedImage(post)
+  };
+};
+
+// Weak validator covering everything that shows up in the feed
+export const feedEtag = (format, feed) => {
+  const hash = crypto.createHash('sha1')
+    .update([format, feed.title, feed.updated.getTime(), ...feed.items.map(item => `${item.id}:${item.updated.getTime()}`)].join('|'))
+    .digest('base64url');
+  return `W/"${hash}"`;
+};
+
+const xml = (text) => escapeHtml(text ?? '');
+
+export const buildRss = (feed) => {
+  const items = feed.items.map(item => [
+    '<item>',
+    `<title>${xml(item.title)}</title>`,
+    `<link>${xml(item.url)}</link>`,
+    `<guid isPermaLink="true">${xml(item.url)}</guid>`,
+    `<pubDate>${item.published.toUTCString()}</pubDate>`,
+    `<dc:creator>${xml(item.author.name)}</dc:creator>`,
+    `<description>${xml(item.contentHtml)}</description>`,
+    ...item.tags.map(tag => `<category>${xml(tag)}</category>`),
+    item.image ? `<enclosure url="${xml(item.image.url)}" type="${item.image.type}" length="${item.image.length}"/>` : '',
+    '</item>'
+  ].join(''));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '<channel>',
+    `<title>${xml(feed.title)}</title>`,
+    `<link>${xml(feed.link)}</link>`,
+    `<description>${xml(feed.description)}</description>`,
+    `<atom:link href="${xml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>`,
+    `<lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    ...items,
+    '</channel>',
+    '</rss>'
+  ].join('\n');
+};
+
+export const buildAtom = (feed) => {
+  const entries = feed.items.map(item => [
+    '<entry>',
+    `<id>${xml(item.url)}</id>`,
+    `<title>${xml(item.title)}</title>`,
+    `<link rel="alternate" type="text/html" href="${xml(item.url)}"/>`,
+    item.image ? `<link rel="enclosure" href="${xml(item.image.url)}" type="${item.image.type}" length="${item.image.length}"/>` : '',
+    `<published>${item.published.toISOString()}</published>`,
+    `<updated>${item.updated.toISOString()}</updated>`,
+    `<author><name>${xml(item.author.name)}</name><uri>${xml(item.author.url)}</uri></author>`,
+    ...item.tags.map(tag => `<category term="${xml(tag)}"/>`),
+    `<summary>${xml(item.summary)}</summary>`,
+    `<content type="html">${xml(item.contentHtml)}</content>`,
+    '</entry>'
+  ].join(''));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `<id>${xml(feed.selfUrl)}</id>`,
+    `<title>${xml(feed.title)}</title>`,
+    `<subtitle>${xml(feed.description)}</subtitle>`,
+    `<updated>${feed.updated.toISOString()}</updated>`,
+    `<link rel="self" type="application/atom+xml" href="${xml(feed.selfUrl)}"/>`,
+    `<link rel="alternate" type="text/html" href="${xml(feed.link)}"/>`,
+    feed.author ? `<author><name>${xml(feed.author.name)}</name><uri>${xml(feed.author.url)}</uri></author>` : '',
+    ...entries,
+    '</feed>'
+  ].join('\n');
+};
+
+// JSON Feed 1.1, https://www.jsonfeed.org/version/1.1/
+export const buildJsonFeed = (feed) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  home_page_url: feed.link,
+  feed_url: feed.selfUrl,
+  description: feed.description,
+  authors: feed.author ? [feed.author] : undefined,
+  items: feed.items.map(item => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    content_html: item.contentHtml,
+    summary: item.summary,
+    image: item.image?.url,
+    date_published: item.published.toISOString(),
+    date_modified: item.updated.toISOString(),
+    authors: [item.author],
+    tags: item.tags.length > 0 ? item.tags : undefined,
+    attachments: item.image
+      ? [{ url: item.image.url, mime_type: item.image.type, size_in_bytes: item.image.length || undefined }]
+      : undefined
+  }))
+});
+
+export const FEED_FORMATS = {
+  rss: { build: buildRss, contentType: 'application/rss+xml' },
+  atom: { build: buildAtom, contentType: 'application/atom+xml' },
+  json: { build: buildJsonFeed, contentType: 'application/feed+json' }
+};
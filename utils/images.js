@@ -0,0 +1,52 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { getStorage } from '../storage/index.js';
+import { HttpError } from './errors.js';
+
+// Every upload is stored at each of these sizes. Images are only ever
+// scaled down.
+export const IMAGE_SIZES = {
+  thumbnail: { width: 200, height: 200, fit: 'cover' },
+  feed: { width: 800, height: 800, fit: 'inside' },
+  full: { width: 1600, height: 1600, fit: 'inside' }
+};
+
+// Resize an image into each of IMAGE_SIZES. rotate() bakes the EXIF
+// orientation into the pixels; sharp drops all metadata (EXIF, GPS,
+// camera details) from its output unless told to keep it.
+export const createDerivatives = async (buffer) => {
+  try {
+    const entries = await Promise.all(Object.entries(IMAGE_SIZES).map(async ([name, size]) => {
+      const { data, info } = await sharp(buffer)
+        .rotate()
+        .resize({ ...size, withoutEnlargement: true })
+        .webp({ quality: 80 })
+        .toBuffer({ resolveWithObject: true });
+      return [name, { buffer: data, width: info.width, height: info.height, size: info.size }];
+    }));
+    return Object.fromEntries(entries);
+  } catch (err) {
+    throw new HttpError(400, "Could not read image", {
+      details: [{ location: 'body', field: 'image', message: err.message }]
+    });
+  }
+};
+
+// Process an uploaded file and store its derivatives under `folder`.
+// Resolves to { thumbnail: { id, url, width, height, size }, feed: ..., full: ... }.
+export const storeImage = async (file, folder) => {
+  const derivatives = await createDerivatives(file.buffer);
+  const storage = await getStorage();
+  const base = `${folder}/${crypto.randomBytes(12).toString('hex')}`;
+
+  const entries = await Promise.all(Object.entries(derivatives).map(async ([name, { buffer, ...info }]) => {
+    const stored = await storage.save({ key: `${base}-${name}.webp`, buffer, contentType: 'image/webp' });
+    return [name, { ...stored, ...info }];
+  }));
+  return Object.fromEntries(entries);
+};
+
+// Just the URLs, as kept on posts and users
+export const variantUrls = (variants) => Object.fromEntries(
+  Object.entries(variants).map(([name, stored]) => [name, stored.url])
+);
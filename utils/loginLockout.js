@@ -0,0 +1,30 @@
+import User from '../models/User.js';
+import { loginLockout } from '../config/rateLimits.js';
+
+// Milliseconds until a locked-out account may try again, 0 if it may now
+export const lockoutRemainingMs = (user) => {
+  if (!user.lockedUntil) return 0;
+  return Math.max(user.lockedUntil.getTime() - Date.now(), 0);
+};
+
+// Count a failed login. Past the free attempts every failure locks the
+// account, each time for twice as long as the last.
+export const recordFailedLogin = async (userId) => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  );
+  if (!user) return;
+
+  const over = user.failedLoginAttempts - loginLockout.freeAttempts;
+  if (over > 0) {
+    const duration = Math.min(loginLockout.baseMs * 2 ** (over - 1), loginLockout.maxMs);
+    await User.updateOne({ _id: userId }, { lockedUntil: new Date(Date.now() + duration) });
+  }
+};
+
+export const clearFailedLogins = (user) => {
+  if (!user.failedLoginAttempts && !user.lockedUntil) return null;
+  return User.updateOne({ _id: user._id }, { failedLoginAttempts: 0, lockedUntil: null });
+};
@@ -0,0 +1,58 @@
+import { Marked } from 'marked';
+import sanitizeHtml from 'sanitize-html';
+import { unescapeHtml } from './html.js';
+
+const marked = new Marked({ gfm: true, breaks: true });
+
+// Everything the renderer may produce for post content; anything else,
+// including raw HTML typed into the Markdown, is stripped
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+    'p', 'br', 'hr', 'strong', 'em', 'del',
+    'ul', 'ol', 'li', 'blockquote',
+    'a', 'img', 'pre', 'code'
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'rel'],
+    img: ['src', 'alt', 'title'],
+    ol: ['start'],
+    code: ['class']
+  },
+  // Keep the language tag of fenced code blocks, e.g. class="language-js"
+  allowedClasses: {
+    code: ['language-*']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: sanitizeHtml.simpleTransform('a', { rel: 'nofollow noopener noreferrer' })
+  }
+};
+
+// Render post Markdown to HTML that is safe to insert into a page
+export const renderMarkdown = (markdown = '') => (
+  sanitizeHtml(marked.parse(markdown || ''), SANITIZE_OPTIONS)
+);
+
+// Posts saved before Markdown was stored raw had **, * and __ turned
+// into <strong>, <em> and <u>. Undo that to recover the original text.
+export const legacyHtmlToMarkdown = (html = '') => (
+  html
+    .replace(/<strong>(.*?)<\/strong>/g, '**$1**')
+    .replace(/<em>(.*?)<\/em>/g, '*$1*')
+    .replace(/<u>(.*?)<\/u>/g, '__$1__')
+);
+
+// Plain-text excerpt of rendered HTML, cut at a word boundary
+export const excerpt = (html = '', maxLength = 200) => {
+  const text = unescapeHtml(sanitizeHtml(html, { allowedTags: [], allowedAttributes: {} }))
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (text.length <= maxLength) return text;
+
+  const cut = text.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut}…`;
+};
@@ -0,0 +1,95 @@
+import Asset from '../models/Asset.js';
+import { getStorage } from '../storage/index.js';
+import { storeImage } from './images.js';
+
+// Store an uploaded image and record it in the owner's media library
+export const createAsset = async (ownerId, file, folder) => {
+  const stored = await storeImage(file, folder);
+
+  return Asset.create({
+    owner: ownerId,
+    originalName: file.originalname || '',
+    mimeType: file.mimetype || '',
+    size: file.size || file.buffer.length,
+    variants: Object.entries(stored).map(([name, variant]) => ({
+      name,
+      storageId: variant.id,
+      url: variant.url,
+      size: variant.size,
+      width: variant.width,
+      height: variant.height
+    }))
+  });
+};
+
+// Delete an asset's stored files, then the asset itself. A file that
+// fails to delete is logged rather than keeping the record around.
+export const removeAsset = async (asset) => {
+  const storage = await getStorage();
+  await Promise.all(asset.variants.map(variant => (
+    storage.remove(variant.storageId).catch(err => console.error('Asset file removal error:', err))
+  )));
+  await asset.deleteOne();
+};
+
+// Delete the assets among `ids` that nothing uses any more
+export const collectUnusedAssets = async (ids) => {
+  const unused = await Asset.find({ _id: { $in: ids }, 'usage.0': { $exists: false } });
+  await Promise.all(unused.map(removeAsset));
+  return unused.length;
+};
+
+// Make `ids` the exact set of assets used by { kind, ref }. Assets it
+// no longer uses are collected once nothing else does.
+export const syncAssetUsage = async (kind, ref, ids = []) => {
+  const usage = { kind, ref };
+  const keep = ids.filter(Boolean);
+
+  if (keep.length > 0) {
+    await Asset.updateMany({ _id: { $in: keep } }, { $addToSet: { usage } });
+  }
+
+  const released = await Asset.find({ usage: { $elemMatch: usage }, _id: { $nin: keep } }).select('_id');
+  if (released.length > 0) {
+    const releasedIds = released.map(asset => asset._id);
+    await Asset.updateMany({ _id: { $in: releasedIds } }, { $pull: { usage } });
+    await collectUnusedAssets(releasedIds);
+  }
+};
+
+export const releaseAssetUsage = (kind, ref) => syncAssetUsage(kind, ref, []);
+
+// Every asset a post displays: its cover image and its gallery
+export const postAssetIds = (post) => [
+  post.imageAsset,
+  ...(post.gallery || []).map(item => item.asset)
+].filter(Boolean);
+
+// Turn [{ asset, caption, alt }] into gallery entries, in the given
+// order. Every asset must be in the owner's library.
+// Returns { gallery } or { error }.
+export const resolveGallery = async (items, ownerId) => {
+  const assets = await Asset.find({ _id: { $in: items.map(item => item.asset) }, owner: ownerId });
+  const byId = new Map(assets.map(asset => [String(asset._id), asset]));
+
+  const gallery = [];
+  for (const item of items) {
+    const asset = byId.get(String(item.asset));
+    if (!asset) {
+      return { error: `Asset ${item.asset} is not in your media library` };
+    }
+    gallery.push({
+      asset: asset._id,
+      variants: asset.variantUrls(),
+      caption: item.caption || '',
+      alt: item.alt || ''
+    });
+  }
+  return { gallery };
+};
+
+// Delete a user's whole media library, used or not
+export const deleteUserAssets = async (ownerId) => {
+  const assets = await Asset.find({ owner: ownerId });
+  await Promise.all(assets.map(removeAsset));
+};
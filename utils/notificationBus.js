@@ -0,0 +1,111 @@
+import { EventEmitter } from 'events';
+import Notification from '../models/Notification.js';
+
+// Fans new notifications out to the streaming connections of their
+// recipients. With a replica set (as on Atlas) every server process
+// watches the notifications collection, so a notification created by
+// one process reaches clients connected to any other. On a standalone
+// server it falls back to delivering within this process only.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Until the change stream is confirmed working, and while it restarts
+// after an error, notifications are delivered in-process
+let mode = 'local';
+let changeStream = null;
+let resumeToken = null;
+let retryDelay = 0;
+
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 60 * 1000;
+
+// The stream may replay a notification that was already delivered
+// locally while it was down, so remember the latest ids
+const recentIds = new Set();
+const MAX_RECENT_IDS = 1000;
+
+const dispatch = (notification) => {
+  const id = String(notification._id);
+  if (recentIds.has(id)) return;
+  recentIds.add(id);
+  if (recentIds.size > MAX_RECENT_IDS) {
+    recentIds.delete(recentIds.values().next().value);
+  }
+  emitter.emit(String(notification.recipient), notification);
+};
+
+// The server can't run change streams at all, e.g. a standalone mongod
+const isUnsupported = (err) => err.code === 40573 || /only supported on replica sets/i.test(err.message || '');
+
+const openChangeStream = () => {
+  const stream = Notification.watch(
+    [{ $match: { operationType: 'insert' } }],
+    resumeToken ? { resumeAfter: resumeToken } : {}
+  );
+  changeStream = stream;
+
+  // The first resume token arrives once the server has accepted the stream
+  stream.on('resumeTokenChanged', token => {
+    resumeToken = token;
+    if (mode !== 'mongo') {
+      mode = 'mongo';
+      retryDelay = 0;
+      console.log('Notification bus using MongoDB change stream');
+    }
+  });
+  stream.on('change', change => dispatch(change.fullDocument));
+  stream.on('error', err => handleStreamError(stream, err));
+};
+
+// The driver already resumes after transient errors, so one reaching here
+// ended the stream. Deliver in-process meanwhile and open a new stream
+// later, picking up from the last event seen.
+const handleStreamError = (stream, err) => {
+  if (stream !== changeStream) return;
+  stream?.close().catch(() => {});
+  changeStream = null;
+
+  // Too far behind to resume; start from now instead
+  if (err.code === 286) {
+    resumeToken = null;
+  }
+
+  const confirmed = mode === 'mongo';
+  mode = 'local';
+  if (!confirmed && isUnsupported(err)) {
+    console.warn('Notification bus using in-process delivery:', err.message);
+    return;
+  }
+
+  retryDelay = Math.min(Math.max(retryDelay * 2, MIN_RETRY_MS), MAX_RETRY_MS);
+  console.warn(`Notification bus stream failed, retrying in ${retryDelay}ms:`, err.message);
+  setTimeout(startStream, retryDelay).unref();
+};
+
+const startStream = () => {
+  try {
+    openChangeStream();
+  } catch (err) {
+    handleStreamError(changeStream, err);
+  }
+};
+
+export const startNotificationBus = () => {
+  if (process.env.NOTIFICATION_BUS === 'local') return;
+  startStream();
+};
+
+// Call after saving a notification. In mongo mode the change stream
+// delivers it, so there is nothing to do here.
+export const publishNotification = (notification) => {
+  if (mode === 'local') {
+    dispatch(notification);
+  }
+};
+
+// Listen for notifications addressed to one user; returns an unsubscribe function
+export const subscribeToNotifications = (userId, listener) => {
+  const key = String(userId);
+  emitter.on(key, listener);
+  return () => emitter.off(key, listener);
+};
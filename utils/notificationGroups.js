@@ -0,0 +1,112 @@
+const VERBS = {
+  like: 'reacted to your post',
+  comment: 'commented on your post',
+  reply: 'replied to your comment',
+  subscribe: 'subscribed to you',
+  post_created: 'published a new post',
+  warning: 'sent you a warning'
+};
+
+const SENDER_PREVIEW = 3;
+
+// Most recent notification ids kept per group, e.g. for marking it read
+export const MAX_GROUP_IDS = 100;
+
+// Only notifications this recent are grouped, so the inbox never
+// aggregates a user's whole history
+export const GROUP_WINDOW_DAYS = parseInt(process.env.NOTIFICATION_GROUP_DAYS, 10) || 30;
+
+export const groupWindowStart = (now = new Date()) => new Date(now.getTime() - GROUP_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+// Pipeline stages that collapse similar notifications (same type and
+// post) into one entry per group, newest group first. Notifications are
+// first grouped per sender, so the senders can be counted without
+// collecting them all, and every array is capped.
+export const groupStages = () => [
+  { $sort: { createdAt: -1, _id: -1 } },
+  {
+    $group: {
+      _id: { type: '$type', post: '$post', sender: '$sender' },
+      latestId: { $first: '$_id' },
+      createdAt: { $first: '$createdAt' },
+      count: { $sum: 1 },
+      unreadCount: { $sum: { $cond: ['$read', 0, 1] } },
+      notificationIds: { $firstN: { n: MAX_GROUP_IDS, input: '$_id' } }
+    }
+  },
+  { $sort: { createdAt: -1, latestId: -1 } },
+  {
+    $group: {
+      _id: { type: '$_id.type', post: '$_id.post' },
+      latestId: { $first: '$latestId' },
+      createdAt: { $first: '$createdAt' },
+      count: { $sum: '$count' },
+      senderCount: { $sum: 1 },
+      unreadCount: { $sum: '$unreadCount' },
+      senderIds: { $firstN: { n: SENDER_PREVIEW, input: '$_id.sender' } },
+      notificationIds: { $firstN: { n: MAX_GROUP_IDS, input: '$notificationIds' } }
+    }
+  },
+  {
+    $project: {
+      _id: '$latestId',
+      type: '$_id.type',
+      post: '$_id.post',
+      createdAt: 1,
+      // The per-sender lists joined, most recent senders first
+      notificationIds: {
+        $slice: [
+          { $reduce: { input: '$notificationIds', initialValue: [], in: { $concatArrays: ['$$value', '$$this'] } } },
+          MAX_GROUP_IDS
+        ]
+      },
+      senderIds: 1,
+      count: 1,
+      senderCount: 1,
+      read: { $eq: ['$unreadCount', 0] }
+    }
+  }
+];
+
+// Lookups run after paging so only the groups on the page pay for them
+export const groupLookupStages = () => [
+  {
+    $lookup: {
+      from: 'posts',
+      let: { postId: '$post' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$_id', '$$postId'] } } },
+        { $project: { title: 1 } }
+      ],
+      as: 'post'
+    }
+  },
+  { $addFields: { post: { $arrayElemAt: ['$post', 0] } } }
+];
+
+// Keep the most recent distinct senders, in order, for display
+export const previewSenderIds = (group) => {
+  const seen = new Set();
+  const ids = [];
+  for (const id of group.senderIds) {
+    if (ids.length === SENDER_PREVIEW) break;
+    if (!seen.has(String(id))) {
+      seen.add(String(id));
+      ids.push(id);
+    }
+  }
+  return ids;
+};
+
+// "Alice and 12 others reacted to your post"
+export const summarize = (group, senders) => {
+  const first = senders[0];
+  const name = first
+    ? `${first.firstName} ${first.lastName}`
+    : group.type === 'warning' ? 'The moderation team' : 'Someone';
+  const others = group.senderCount - 1;
+  const verb = VERBS[group.type] || group.type;
+
+  if (others <= 0) return `${name} ${verb}`;
+  return `${name} and ${others} ${others === 1 ? 'other' : 'others'} ${verb}`;
+};
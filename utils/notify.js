@@ -0,0 +1,52 @@
+import Notification from '../models/Notification.js';
+import User from '../models/User.js';
+import { publishNotification } from './notificationBus.js';
+
+// Save a notification and push it to the recipient's open streams,
+// unless the recipient has turned this type off. Resolves to null then.
+export const createNotification = async (data) => {
+  const reasons = [{ [`notificationPreferences.${data.type}`]: 'off' }];
+  if (data.sender) {
+    reasons.push({ blockedUsers: data.sender });
+  }
+  const muted = await User.exists({ _id: data.recipient, $or: reasons });
+  if (muted) return null;
+
+  const notification = await Notification.create(data);
+  publishNotification(notification);
+  return notification;
+};
+
+// Tell an author's subscribers that one of their posts went live
+export const notifySubscribers = async (post) => {
+  try {
+    const author = await User.findById(post.author).select('subscribers');
+    if (!author) return;
+
+    const optedOut = await User.find({
+      _id: { $in: author.subscribers },
+      $or: [
+        { 'notificationPreferences.post_created': 'off' },
+        { blockedUsers: post.author }
+      ]
+    }).distinct('_id');
+    const skip = new Set(optedOut.map(String));
+
+    const notifications = author.subscribers
+      .filter(subscriberId => !skip.has(String(subscriberId)))
+      .map(subscriberId => ({
+        recipient: subscriberId,
+        sender: post.author,
+        post: post._id,
+        type: 'post_created'
+      }));
+
+    if (notifications.length > 0) {
+      const created = await Notification.insertMany(notifications);
+      created.forEach(publishNotification);
+    }
+  } catch (notifErr) {
+    console.error('Error creating subscriber notifications:', notifErr);
+    // Continue even if notification creation fails
+  }
+};
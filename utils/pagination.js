@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+export const DEFAULT_PAGE_SIZE = 10;
+export const MAX_PAGE_SIZE = 50;
+
+// Clamp the ?limit= query value to a sane page size
+export const parseLimit = (value, fallback = DEFAULT_PAGE_SIZE) => {
+  const limit = parseInt(value, 10);
+  if (Number.isNaN(limit) || limit < 1) return fallback;
+  return Math.min(limit, MAX_PAGE_SIZE);
+};
+
+// Lists are ordered by a date field, newest first, then by _id. That is
+// createdAt unless the caller passes another field, e.g. publishedAt.
+// Passing order 1 walks a list oldest first instead.
+
+// Cursors are opaque to clients: base64url of "<date ms>:<_id>"
+export const encodeCursor = (doc, field = 'createdAt') => {
+  if (!doc) return null;
+  const at = new Date(doc[field]).getTime();
+  return Buffer.from(`${at}:${doc._id}`).toString('base64url');
+};
+
+export const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+
+  const [at, id] = Buffer.from(String(cursor), 'base64url').toString().split(':');
+  const date = new Date(Number(at));
+  if (Number.isNaN(date.getTime()) || !mongoose.isValidObjectId(id)) {
+    return null;
+  }
+
+  return { at: date, _id: new mongoose.Types.ObjectId(id) };
+};
+
+// Match clause selecting documents strictly after the cursor in
+// { [field]: order, _id: order } order
+export const cursorFilter = (cursor, field = 'createdAt', order = -1) => {
+  if (!cursor) return {};
+  const after = order === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { [field]: { [after]: cursor.at } },
+      { [field]: cursor.at, _id: { [after]: cursor._id } }
+    ]
+  };
+};
+
+// Fetch limit + 1 items, trim the extra one and derive the next cursor
+export const buildPage = (items, limit, field = 'createdAt') => {
+  const hasMore = items.length > limit;
+  const page = hasMore ? items.slice(0, limit) : items;
+  return {
+    items: page,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1], field) : null
+  };
+};
+
+// Read ?limit= and ?cursor= from a request query. `cursor` is null when
+// absent; `invalid` is set when a cursor was sent but cannot be decoded.
+export const parsePageQuery = (query) => {
+  const cursor = decodeCursor(query.cursor);
+  return {
+    limit: parseLimit(query.limit),
+    cursor,
+    invalid: Boolean(query.cursor) && !cursor
+  };
+};
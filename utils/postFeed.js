@@ -0,0 +1,72 @@
+import Post from '../models/Post.js';
+import { cursorFilter, buildPage } from './pagination.js';
+import { DEFAULT_REACTION } from '../config/reactions.js';
+
+// Shared pipeline stages that attach author info and a comment count to
+// each post without a query per post. Reaction counts are on the post;
+// `likes` stays as the default reaction's count for older clients.
+export const postCountStages = () => [
+  {
+    $lookup: {
+      from: 'comments',
+      let: { postId: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$post', '$$postId'] }, 'moderation.removedAt': null } },
+        { $count: 'count' }
+      ],
+      as: 'commentStats'
+    }
+  },
+  {
+    $lookup: {
+      from: 'users',
+      let: { authorId: '$author' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$_id', '$$authorId'] } } },
+        { $project: { firstName: 1, lastName: 1, profilePicture: 1 } }
+      ],
+      as: 'authorDoc'
+    }
+  },
+  {
+    $addFields: {
+      comments: { $ifNull: [{ $arrayElemAt: ['$commentStats.count', 0] }, 0] },
+      likes: { $ifNull: [`$reactionCounts.${DEFAULT_REACTION}`, 0] },
+      // Fall back to the denormalized name if the author no longer exists
+      author: {
+        $ifNull: [
+          { $arrayElemAt: ['$authorDoc', 0] },
+          {
+            _id: '$author',
+            firstName: '$firstName',
+            lastName: '$lastName',
+            profilePicture: '$profilePicture'
+          }
+        ]
+      }
+    }
+  },
+  { $project: { commentStats: 0, authorDoc: 0 } }
+];
+
+// Match clause leaving out authors the viewer has muted or blocked
+export const hiddenAuthorsFilter = (viewer) => {
+  const hidden = viewer ? viewer.hiddenAuthorIds() : [];
+  return hidden.length > 0 ? { author: { $nin: hidden } } : {};
+};
+
+// Fetch one page of posts matching `match`, newest first. Listings of
+// live posts go by publish time, so a scheduled post or a draft shows up
+// at the top once it is published. Lists that include drafts, which have
+// no publishedAt, pass sortField: 'createdAt'.
+export const fetchPostPage = async (match, { limit, cursor, sortField = 'publishedAt' }) => {
+  const posts = await Post.aggregate([
+    { $match: { $and: [match, cursorFilter(cursor, sortField)] } },
+    { $sort: { [sortField]: -1, _id: -1 } },
+    { $limit: limit + 1 },
+    ...postCountStages()
+  ]);
+
+  const { items, nextCursor } = buildPage(posts, limit, sortField);
+  return { posts: items, nextCursor };
+};
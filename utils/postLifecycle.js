@@ -0,0 +1,33 @@
+// Work out the status and publish date a post should get from the
+// `status` and `publishAt` fields of a create or update request.
+// Returns { error } when the combination makes no sense.
+export const resolveLifecycle = ({ status, publishAt }, { allowArchive = false } = {}) => {
+  const date = publishAt ? new Date(publishAt) : null;
+  if (date && Number.isNaN(date.getTime())) {
+    return { error: "Invalid publishAt date" };
+  }
+
+  if (status === 'draft') {
+    return { status: 'draft', publishAt: null };
+  }
+
+  if (status === 'archived') {
+    if (!allowArchive) return { error: "New posts cannot be archived" };
+    return { status: 'archived' };
+  }
+
+  if (status === 'scheduled' || (!status && date)) {
+    if (!date) return { error: "publishAt is required for scheduled posts" };
+    // A date already in the past just means "publish now"
+    if (date > new Date()) {
+      return { status: 'scheduled', publishAt: date };
+    }
+    return { status: 'published', publishAt: null };
+  }
+
+  if (!status || status === 'published') {
+    return { status: 'published', publishAt: null };
+  }
+
+  return { error: "Invalid status" };
+};
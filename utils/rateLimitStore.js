@@ -0,0 +1,42 @@
+// Fixed-window counters kept in this process. A shared store (Redis,
+// MongoDB, ...) can replace it through setRateLimitStore as long as it
+// offers the same async increment/reset methods.
+export class MemoryStore {
+  constructor({ sweepIntervalMs = 60 * 1000 } = {}) {
+    this.windows = new Map();
+    this.sweeper = setInterval(() => this.sweep(), sweepIntervalMs);
+    this.sweeper.unref();
+  }
+
+  // Count one hit for `key`; resolves to the hits so far in the current
+  // window and when that window ends
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let entry = this.windows.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, entry);
+    }
+    entry.count++;
+    return { count: entry.count, resetAt: entry.resetAt };
+  }
+
+  async reset(key) {
+    this.windows.delete(key);
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.windows) {
+      if (entry.resetAt <= now) this.windows.delete(key);
+    }
+  }
+}
+
+let store = new MemoryStore();
+
+export const getRateLimitStore = () => store;
+
+export const setRateLimitStore = (next) => {
+  store = next;
+};
@@ -0,0 +1,94 @@
+import Reaction from '../models/Reaction.js';
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+
+const MODELS = { post: Post, comment: Comment };
+
+// Counter updates don't count as edits to the post or comment
+const bumpCount = (targetType, targetId, reaction, amount) => MODELS[targetType].updateOne(
+  { _id: targetId },
+  { $inc: { [`reactionCounts.${reaction}`]: amount } },
+  { timestamps: false }
+);
+
+// Resolves to false if the user had already left this reaction
+export const addReaction = async (targetType, targetId, userId, reaction) => {
+  try {
+    await Reaction.create({ targetType, target: targetId, user: userId, reaction });
+  } catch (err) {
+    if (err.code === 11000) return false;
+    throw err;
+  }
+  await bumpCount(targetType, targetId, reaction, 1);
+  return true;
+};
+
+// Resolves to false if there was no such reaction
+export const removeReaction = async (targetType, targetId, userId, reaction) => {
+  const result = await Reaction.deleteOne({ targetType, target: targetId, user: userId, reaction });
+  if (result.deletedCount === 0) return false;
+
+  await bumpCount(targetType, targetId, reaction, -1);
+  return true;
+};
+
+// reactionCounts as a plain object, without reactions that dropped to zero
+export const countsOf = (doc) => {
+  const counts = doc?.reactionCounts instanceof Map
+    ? Object.fromEntries(doc.reactionCounts)
+    : { ...(doc?.reactionCounts || {}) };
+  return Object.fromEntries(Object.entries(counts).filter(([, count]) => count > 0));
+};
+
+// Map of target id -> reaction names the user left on it
+export const viewerReactions = async (targetType, targetIds, userId) => {
+  const reactions = await Reaction.find({ targetType, target: { $in: targetIds }, user: userId })
+    .select('target reaction')
+    .lean();
+
+  const byTarget = new Map();
+  for (const { target, reaction } of reactions) {
+    const key = String(target);
+    byTarget.set(key, [...(byTarget.get(key) || []), reaction]);
+  }
+  return byTarget;
+};
+
+// Ids of every user who left `reaction` on the post or comment
+export const reactorIds = (targetType, targetId, reaction) =>
+  Reaction.find({ targetType, target: targetId, reaction }).distinct('user');
+
+// Counts plus the viewer's own reactions for one post or comment
+export const reactionSummary = async (targetType, targetId, userId) => {
+  const [doc, mine] = await Promise.all([
+    MODELS[targetType].findById(targetId).select('reactionCounts').lean(),
+    viewerReactions(targetType, [targetId], userId)
+  ]);
+  return { counts: countsOf(doc), viewerReactions: mine.get(String(targetId)) || [] };
+};
+
+// Drop all reactions on deleted posts or comments
+export const deleteReactionsFor = (targetType, targetIds) => (
+  Reaction.deleteMany({ targetType, target: { $in: targetIds } })
+);
+
+// Take back everything a user reacted with, keeping counts in step
+export const deleteUserReactions = async (userId) => {
+  const reactions = await Reaction.find({ user: userId }).select('targetType target reaction').lean();
+
+  for (const targetType of Object.keys(MODELS)) {
+    const ops = reactions
+      .filter(reaction => reaction.targetType === targetType)
+      .map(({ target, reaction }) => ({
+        updateOne: {
+          filter: { _id: target },
+          update: { $inc: { [`reactionCounts.${reaction}`]: -1 } },
+          timestamps: false
+        }
+      }));
+    if (ops.length > 0) {
+      await MODELS[targetType].bulkWrite(ops);
+    }
+  }
+  await Reaction.deleteMany({ user: userId });
+};
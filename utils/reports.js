@@ -0,0 +1,53 @@
+import Post from '../models/Post.js';
+import Comment from '../models/Comment.js';
+import User from '../models/User.js';
+import Report from '../models/Report.js';
+import ModerationLog from '../models/ModerationLog.js';
+
+// Open reports needed before an item is hidden without waiting for a moderator
+export const AUTO_HIDE_THRESHOLD = parseInt(process.env.REPORT_AUTO_HIDE_THRESHOLD, 10) || 5;
+
+const MODELS = { post: Post, comment: Comment, user: User };
+
+export const findReportTarget = (targetType, targetId) => MODELS[targetType].findById(targetId);
+
+// The user responsible for a reported item
+export const reportTargetOwner = (targetType, target) => (
+  targetType === 'user' ? target._id : target.author
+);
+
+export const isTargetHidden = (targetType, target) => (
+  targetType === 'user' ? target.profileHidden : Boolean(target.moderation?.removedAt)
+);
+
+// Hide a post or comment the way a moderator removal does, or hide a profile
+export const hideTarget = async (targetType, target, { moderator = null, reason }) => {
+  if (targetType === 'user') {
+    target.profileHidden = true;
+  } else {
+    target.moderation = { removedAt: new Date(), removedBy: moderator, reason };
+  }
+  await target.save();
+};
+
+// Hide an item once its open reports reach the threshold
+export const autoHideIfNeeded = async (targetType, target) => {
+  if (isTargetHidden(targetType, target)) return false;
+
+  const openReports = await Report.countDocuments({
+    targetType,
+    targetId: target._id,
+    status: 'open'
+  });
+  if (openReports < AUTO_HIDE_THRESHOLD) return false;
+
+  const reason = `Automatically hidden after ${openReports} reports`;
+  await hideTarget(targetType, target, { reason });
+  await ModerationLog.create({
+    action: 'remove',
+    targetType,
+    targetId: target._id,
+    reason
+  });
+  return true;
+};
@@ -0,0 +1,67 @@
+import { escapeHtml } from './html.js';
+
+const SNIPPET_RADIUS = 80;
+
+export const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Split a search string the way MongoDB's $text reads it:
+// "exact phrase", -excluded and plain terms
+export const parseSearchQuery = (q) => {
+  const phrases = [];
+  const excluded = [];
+  const terms = [];
+
+  const pattern = /(-?)"([^"]+)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(String(q))) !== null) {
+    if (match[2] !== undefined) {
+      (match[1] ? excluded : phrases).push(match[2].trim());
+    } else if (match[3].startsWith('-') && match[3].length > 1) {
+      excluded.push(match[3].slice(1));
+    } else if (match[3] !== '-') {
+      terms.push(match[3]);
+    }
+  }
+
+  return { terms, phrases, excluded: excluded.filter(Boolean) };
+};
+
+// Case-insensitive regex matching any phrase or term of a parsed query
+export const highlightPattern = ({ terms, phrases }) => {
+  const needles = [...phrases, ...terms].filter(Boolean).map(escapeRegex);
+  if (needles.length === 0) return null;
+  return new RegExp(`(${needles.join('|')})`, 'gi');
+};
+
+const stripHtml = (html) => String(html || '')
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Escape text for HTML and wrap every match in <mark>
+export const highlight = (text, pattern) => {
+  if (!pattern) return escapeHtml(text);
+  return String(text)
+    .split(pattern)
+    .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+};
+
+// A short window of plain text around the first match, highlighted
+export const buildSnippet = (html, pattern) => {
+  const text = stripHtml(html);
+  if (!pattern) return escapeHtml(text.slice(0, SNIPPET_RADIUS * 2));
+
+  pattern.lastIndex = 0;
+  const found = pattern.exec(text);
+  pattern.lastIndex = 0;
+  const at = found ? found.index : 0;
+
+  const start = Math.max(0, at - SNIPPET_RADIUS);
+  const end = Math.min(text.length, at + SNIPPET_RADIUS);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  return prefix + highlight(text.slice(start, end), pattern) + suffix;
+};
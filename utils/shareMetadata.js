@@ -0,0 +1,129 @@
+import { excerpt, renderMarkdown } from './markdown.js';
+import { apiUrl, appUrl, postUrl, profileUrl, siteTitle } from './urls.js';
+
+const DESCRIPTION_LENGTH = 200;
+
+export const oembedUrl = (url) => `${apiUrl()}/api/meta/oembed?url=${encodeURIComponent(url)}&format=json`;
+
+// The stored size of an asset variant, when the post's asset is populated
+const variantOf = (post, name) => post.imageAsset?.variants?.find(variant => variant.name === name) || null;
+
+// Open Graph, Twitter Card and oEmbed fields for a published post
+export const postMetadata = (post) => {
+  const url = postUrl(post);
+  const description = excerpt(post.contentHtml || renderMarkdown(post.content), DESCRIPTION_LENGTH);
+  const author = { name: `${post.firstName} ${post.lastName}`, url: profileUrl(post.author) };
+  const image = post.image || null;
+  const imageAlt = post.gallery?.[0]?.alt || post.title;
+  const full = variantOf(post, 'full');
+  const publishedTime = (post.publishedAt || post.createdAt).toISOString();
+  const modifiedTime = (post.updatedAt || post.createdAt).toISOString();
+
+  return {
+    type: 'article',
+    title: post.title,
+    description,
+    url,
+    image,
+    author,
+    publishedTime,
+    modifiedTime,
+    tags: post.tags || [],
+    openGraph: {
+      'og:type': 'article',
+      'og:site_name': siteTitle(),
+      'og:title': post.title,
+      'og:description': description,
+      'og:url': url,
+      ...(image && {
+        'og:image': image,
+        'og:image:alt': imageAlt,
+        ...(full && { 'og:image:width': full.width, 'og:image:height': full.height })
+      }),
+      'article:published_time': publishedTime,
+      'article:modified_time': modifiedTime,
+      'article:author': author.url,
+      'article:tag': post.tags || []
+    },
+    twitter: {
+      'twitter:card': image ? 'summary_large_image' : 'summary',
+      'twitter:title': post.title,
+      'twitter:description': description,
+      ...(image && { 'twitter:image': image, 'twitter:image:alt': imageAlt })
+    },
+    oembedUrl: oembedUrl(url)
+  };
+};
+
+export const profileMetadata = (user) => {
+  const url = profileUrl(user._id);
+  const name = `${user.firstName} ${user.lastName}`;
+  const description = user.about ? excerpt(user.about, DESCRIPTION_LENGTH) : `Posts by ${name} on ${siteTitle()}`;
+  const image = user.profilePicture || null;
+
+  return {
+    type: 'profile',
+    title: name,
+    description,
+    url,
+    image,
+    openGraph: {
+      'og:type': 'profile',
+      'og:site_name': siteTitle(),
+      'og:title': name,
+      'og:description': description,
+      'og:url': url,
+      ...(image && { 'og:image': image, 'og:image:alt': name }),
+      'profile:first_name': user.firstName,
+      'profile:last_name': user.lastName
+    },
+    twitter: {
+      'twitter:card': 'summary',
+      'twitter:title': name,
+      'twitter:description': description,
+      ...(image && { 'twitter:image': image })
+    },
+    oembedUrl: oembedUrl(url)
+  };
+};
+
+// oEmbed 1.0 "link" responses, https://oembed.com/
+const oembedBase = () => ({
+  version: '1.0',
+  type: 'link',
+  provider_name: siteTitle(),
+  provider_url: appUrl(),
+  cache_age: 3600
+});
+
+export const postOembed = (post) => {
+  const thumbnail = variantOf(post, 'thumbnail');
+  return {
+    ...oembedBase(),
+    title: post.title,
+    author_name: `${post.firstName} ${post.lastName}`,
+    author_url: profileUrl(post.author),
+    // Thumbnail sizes are required, so only uploaded images qualify
+    ...(thumbnail && {
+      thumbnail_url: thumbnail.url,
+      thumbnail_width: thumbnail.width,
+      thumbnail_height: thumbnail.height
+    })
+  };
+};
+
+export const profileOembed = (user) => ({
+  ...oembedBase(),
+  title: `${user.firstName} ${user.lastName}`,
+  author_name: `${user.firstName} ${user.lastName}`,
+  author_url: profileUrl(user._id)
+});
+
+// Which post or profile a frontend URL points at: { kind, id } or null
+export const parseShareUrl = (url) => {
+  const base = appUrl().replace(/\/+$/, '');
+  if (typeof url !== 'string' || !url.startsWith(`${base}/`)) return null;
+
+  const match = url.slice(base.length).match(/^\/(post|profile)\/([a-f\d]{24})\/?(?:[?#].*)?$/i);
+  return match ? { kind: match[1], id: match[2] } : null;
+};
@@ -0,0 +1,30 @@
+const MAX_SLUG_LENGTH = 80;
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+
+// "Hello, World!" -> "hello-world"
+export const slugify = (text) => {
+  const slug = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, '');
+
+  return slug || 'post';
+};
+
+// Accept tags as an array or a comma-separated string (multipart forms
+// can only send the latter) and return a clean, de-duplicated list
+export const normalizeTags = (value) => {
+  if (!value) return [];
+
+  const raw = Array.isArray(value) ? value : String(value).split(',');
+  const tags = raw
+    .map(tag => String(tag).trim().toLowerCase().replace(/^#/, '').replace(/\s+/g, '-'))
+    .filter(tag => tag && tag.length <= MAX_TAG_LENGTH);
+
+  return [...new Set(tags)].slice(0, MAX_TAGS);
+};
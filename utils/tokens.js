@@ -0,0 +1,82 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import RefreshToken from '../models/RefreshToken.js';
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+export class RefreshTokenError extends Error {}
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+export const signAccessToken = (user) => jwt.sign({
+  id: user._id,
+  email: user.email,
+  firstName: user.firstName,
+  lastName: user.lastName,
+  profilePicture: user.profilePicture
+}, process.env.JWT_SECRET, {
+  expiresIn: ACCESS_TOKEN_TTL
+});
+
+// Create a refresh token; only its hash is stored
+export const issueRefreshToken = async (user, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString('hex');
+  await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000)
+  });
+  return { token, family };
+};
+
+// Access + refresh token pair handed out at login
+export const issueTokens = async (user) => {
+  const { token: refreshToken } = await issueRefreshToken(user);
+  return { token: signAccessToken(user), refreshToken };
+};
+
+// Swap a refresh token for a new one. Presenting a token that was already
+// rotated means it leaked, so the whole family is revoked.
+export const rotateRefreshToken = async (token) => {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { revokedAt: now },
+    { new: true }
+  );
+
+  if (!current) {
+    const stale = await RefreshToken.findOne({ tokenHash });
+    if (stale && stale.revokedAt) {
+      await RefreshToken.updateMany(
+        { family: stale.family, revokedAt: null },
+        { revokedAt: now }
+      );
+      throw new RefreshTokenError("Refresh token reuse detected");
+    }
+    throw new RefreshTokenError("Invalid or expired refresh token");
+  }
+
+  const next = await issueRefreshToken({ _id: current.user }, current.family);
+  current.replacedBy = hashToken(next.token);
+  await current.save();
+
+  return { userId: current.user, refreshToken: next.token };
+};
+
+export const revokeRefreshToken = async (token) => {
+  const result = await RefreshToken.updateOne(
+    { tokenHash: hashToken(token), revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount > 0;
+};
+
+export const revokeAllRefreshTokens = (userId) => RefreshToken.updateMany(
+  { user: userId, revokedAt: null },
+  { revokedAt: new Date() }
+);
@@ -0,0 +1,12 @@
+// The frontend, where people read posts
+export const appUrl = () => process.env.APP_URL || 'http://localhost:3000';
+
+// Site name shown in feeds and link previews
+export const siteTitle = () => process.env.SITE_TITLE || 'Blog';
+
+// This API, for links that must point back at the backend
+export const apiUrl = () => process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+
+export const postUrl = (post) => `${appUrl()}/post/${post._id}`;
+
+export const profileUrl = (userId) => `${appUrl()}/profile/${userId}`;
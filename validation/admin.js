@@ -0,0 +1,37 @@
+import { z } from 'zod';
+import { objectId, pageQuery, pageNumberQuery, idParams, userIdParams, reasonBody } from './common.js';
+
+export const listUsers = {
+  query: pageQuery.extend({
+    q: z.string().max(200).optional(),
+    role: z.enum(['user', 'moderator', 'admin']).optional(),
+    status: z.enum(['active', 'suspended', 'banned']).optional()
+  })
+};
+
+export const userAction = { params: userIdParams, body: reasonBody };
+
+export const suspendUser = {
+  params: userIdParams,
+  body: reasonBody.extend({ days: z.coerce.number().int().min(1).max(365).optional() })
+};
+
+export const setRole = {
+  params: userIdParams,
+  body: reasonBody.extend({ role: z.enum(['user', 'moderator', 'admin']) })
+};
+
+export const contentAction = { params: idParams, body: reasonBody };
+
+const targetType = z.enum(['post', 'comment', 'user']);
+
+export const reportQueue = {
+  query: pageNumberQuery.extend({ targetType: targetType.optional() })
+};
+
+export const reportAction = {
+  params: z.object({ targetType, targetId: objectId }),
+  body: reasonBody
+};
+
+export const moderationLog = { query: pageQuery };
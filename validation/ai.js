@@ -0,0 +1,7 @@
+import { z } from 'zod';
+
+export const improveContent = {
+  body: z.object({
+    content: z.string({ required_error: 'Content is required' }).trim().min(1, 'Content is required').max(20000)
+  })
+};
@@ -0,0 +1,29 @@
+import { z } from 'zod';
+import { objectId, dateString, idParams } from './common.js';
+
+const rangeQuery = z.object({
+  from: dateString.optional(),
+  to: dateString.optional()
+});
+
+const seriesQuery = rangeQuery.extend({
+  interval: z.enum(['day', 'week', 'month']).optional()
+});
+
+export const overview = { query: seriesQuery };
+
+export const postStats = { params: idParams, query: seriesQuery };
+
+export const topPosts = {
+  query: rangeQuery.extend({
+    metric: z.enum(['views', 'likes', 'comments']).optional(),
+    limit: z.coerce.number().int().min(1).max(50).optional()
+  })
+};
+
+export const referrers = {
+  query: rangeQuery.extend({
+    postId: objectId.optional(),
+    limit: z.coerce.number().int().min(1).max(100).optional()
+  })
+};
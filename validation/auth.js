@@ -0,0 +1,57 @@
+import { z } from 'zod';
+import { dateString, pageNumberQuery, userIdParams } from './common.js';
+
+const email = z.string({ required_error: 'Email is required' }).trim().toLowerCase().email('Must be a valid email address');
+const password = z.string({ required_error: 'Password is required' }).min(8, 'Password must be at least 8 characters').max(128);
+const name = z.string().trim().min(1).max(50);
+const token = z.string({ required_error: 'Token is required' }).min(1).max(2000);
+
+export const register = {
+  body: z.object({
+    email,
+    password,
+    firstName: name,
+    lastName: name,
+    dateOfBirth: dateString.refine(value => new Date(value) < new Date(), 'Must be in the past')
+  })
+};
+
+export const login = {
+  body: z.object({
+    email: z.string({ required_error: 'Email is required' }).trim().toLowerCase().min(1),
+    password: z.string({ required_error: 'Password is required' }).min(1)
+  })
+};
+
+export const updateProfile = {
+  body: z.object({
+    firstName: name,
+    lastName: name,
+    about: z.string().max(1000).optional(),
+    profilePicture: z.string().max(1000).optional(),
+    currentPassword: z.string().optional(),
+    newPassword: password.optional()
+  }).refine(body => !body.newPassword || body.currentPassword, {
+    message: 'Current password is required to set a new one',
+    path: ['currentPassword']
+  })
+};
+
+export const tokenBody = { body: z.object({ token }) };
+
+export const oauthCode = { body: z.object({ code: token }) };
+
+export const forgotPassword = { body: z.object({ email }) };
+
+export const resetPassword = { body: z.object({ token, password }) };
+
+export const refreshTokenBody = {
+  body: z.object({ refreshToken: z.string({ required_error: 'Refresh token is required' }).min(1).max(200) })
+};
+
+export const userId = { params: userIdParams };
+
+export const connections = {
+  params: userIdParams,
+  query: pageNumberQuery
+};
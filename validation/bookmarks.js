@@ -0,0 +1,38 @@
+import { z } from 'zod';
+import { objectId } from './common.js';
+
+const listParams = z.object({ listId: objectId });
+const entryParams = z.object({ listId: objectId, postId: objectId });
+const listName = z.string().trim().min(1, 'Name is required').max(100);
+const visibility = z.enum(['private', 'public']);
+
+export const addBookmark = {
+  body: z.object({ postId: objectId, listId: objectId.optional() })
+};
+
+export const createList = {
+  body: z.object({ name: listName, visibility: visibility.optional() })
+};
+
+export const listId = { params: listParams };
+
+export const updateList = {
+  params: listParams,
+  body: z.object({ name: listName.optional(), visibility: visibility.optional() })
+};
+
+export const reorderList = {
+  params: listParams,
+  body: z.object({ postIds: z.array(objectId) })
+};
+
+export const markEntryRead = {
+  params: entryParams,
+  body: z.object({ read: z.boolean().optional() })
+};
+
+export const removeEntry = { params: entryParams };
+
+export const sharedList = {
+  params: z.object({ shareId: z.string().min(1).max(32) })
+};
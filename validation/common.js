@@ -0,0 +1,24 @@
+import { z } from 'zod';
+
+export const objectId = z.string().regex(/^[a-f\d]{24}$/i, 'Must be a valid ID');
+
+// A date given as a string, e.g. "2024-05-01" or an ISO timestamp
+export const dateString = z.string().refine(value => !Number.isNaN(new Date(value).getTime()), 'Must be a valid date');
+
+export const pageQuery = z.object({
+  limit: z.coerce.number().int().positive().optional(),
+  cursor: z.string().max(200).optional()
+});
+
+export const pageNumberQuery = z.object({
+  limit: z.coerce.number().int().positive().optional(),
+  page: z.coerce.number().int().positive().optional()
+});
+
+export const idParams = z.object({ id: objectId });
+export const userIdParams = z.object({ userId: objectId });
+
+// Every moderation action needs a reason; it ends up in the audit log
+export const reasonBody = z.object({
+  reason: z.string({ required_error: 'A reason is required' }).trim().min(1, 'A reason is required').max(500)
+});
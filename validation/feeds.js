@@ -0,0 +1,12 @@
+import { z } from 'zod';
+import { objectId } from './common.js';
+
+const format = z.enum(['rss', 'atom', 'json']);
+
+export const siteFeed = {
+  params: z.object({ format })
+};
+
+export const authorFeed = {
+  params: z.object({ userId: objectId, format })
+};
@@ -0,0 +1,5 @@
+import { pageQuery, idParams } from './common.js';
+
+export const listAssets = { query: pageQuery };
+
+export const assetId = { params: idParams };
@@ -0,0 +1,15 @@
+import { z } from 'zod';
+import { idParams, userIdParams } from './common.js';
+
+export const postMeta = { params: idParams };
+
+export const profileMeta = { params: userIdParams };
+
+export const oembed = {
+  query: z.object({
+    url: z.string({ required_error: 'url is required' }).url().max(500),
+    format: z.string().optional(),
+    maxwidth: z.coerce.number().int().positive().optional(),
+    maxheight: z.coerce.number().int().positive().optional()
+  })
+};
@@ -0,0 +1,36 @@
+import { z } from 'zod';
+import { objectId, pageQuery, idParams } from './common.js';
+
+export const listNotifications = {
+  query: pageQuery.extend({
+    type: z.string().max(200).optional(),
+    grouped: z.enum(['true', 'false']).optional()
+  })
+};
+
+export const stream = {
+  query: z.object({
+    token: z.string().max(2000).optional(),
+    lastEventId: objectId.optional()
+  })
+};
+
+export const updatePreferences = {
+  body: z.object({
+    preferences: z.record(z.enum(['in_app', 'email', 'off'])).optional(),
+    digestFrequency: z.enum(['off', 'daily', 'weekly']).optional()
+  })
+};
+
+// `group` is the { type, post } of an entry in the grouped inbox
+export const markRead = {
+  body: z.object({
+    ids: z.array(objectId).max(500).optional(),
+    group: z.object({
+      type: z.string().min(1).max(50),
+      post: objectId.nullable().optional()
+    }).optional()
+  })
+};
+
+export const notificationId = { params: idParams };
@@ -0,0 +1,128 @@
+import { z } from 'zod';
+import { objectId, dateString, pageQuery, pageNumberQuery, idParams, userIdParams } from './common.js';
+
+const STATUSES = ['draft', 'scheduled', 'published', 'archived'];
+
+// Multipart forms send everything as strings, so tags may arrive as
+// "a,b" or as an array
+const tags = z.union([z.string().max(500), z.array(z.string().max(30)).max(10)]);
+
+const galleryItem = z.object({
+  asset: objectId,
+  caption: z.string().trim().max(300).optional(),
+  alt: z.string().trim().max(300).optional()
+});
+
+// ...and the gallery as a JSON string
+const gallery = z.preprocess(value => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}, z.array(galleryItem).max(20));
+
+const postFields = {
+  title: z.string({ required_error: 'Title is required' }).trim().min(1, 'Title is required').max(200),
+  content: z.string({ required_error: 'Content is required' }).trim().min(1, 'Content is required').max(100000),
+  tags: tags.optional(),
+  category: z.string().trim().max(50).optional(),
+  publishAt: z.union([dateString, z.literal('')]).optional(),
+  gallery: gallery.optional()
+};
+
+export const listPosts = {
+  query: pageQuery.extend({ category: z.string().max(50).optional() })
+};
+
+export const createPost = {
+  body: z.object({ ...postFields, status: z.enum(['draft', 'scheduled', 'published']).optional() })
+};
+
+export const updatePost = {
+  params: idParams,
+  body: z.object({ ...postFields, status: z.enum(STATUSES).optional() })
+};
+
+export const ownPosts = {
+  query: pageQuery.extend({ status: z.enum(STATUSES).optional() })
+};
+
+export const userPosts = {
+  params: userIdParams,
+  query: pageQuery
+};
+
+export const feed = { query: pageQuery };
+
+export const tagCloud = {
+  query: z.object({ limit: z.coerce.number().int().positive().optional() })
+};
+
+export const taggedPosts = {
+  params: z.object({ tag: z.string().min(1).max(30) }),
+  query: pageQuery
+};
+
+export const postBySlug = {
+  params: z.object({ slug: z.string().min(1).max(100) })
+};
+
+export const search = {
+  query: pageNumberQuery.extend({
+    q: z.string().max(200).optional(),
+    searchIn: z.enum(['all', 'title', 'content', 'users']).optional(),
+    from: dateString.optional(),
+    to: dateString.optional(),
+    userId: objectId.optional()
+  })
+};
+
+export const postId = { params: idParams };
+
+// ?ref= carries document.referrer for view tracking
+export const viewPost = {
+  params: idParams,
+  query: z.object({ ref: z.string().max(500).optional() })
+};
+
+export const listComments = {
+  params: idParams,
+  query: pageQuery
+};
+
+export const createComment = {
+  params: idParams,
+  body: z.object({
+    content: z.string({ required_error: 'Content is required' }).trim().min(1, 'Content is required').max(5000),
+    parentId: objectId.optional()
+  })
+};
+
+export const commentParams = { params: z.object({ postId: objectId, commentId: objectId }) };
+
+export const updateComment = {
+  params: commentParams.params,
+  body: createComment.body.pick({ content: true })
+};
+
+export const deleteComment = commentParams;
+
+export const listReplies = {
+  params: commentParams.params,
+  query: pageQuery
+};
+
+// The post id is checked where the revisions router is mounted
+export const revisionNumber = {
+  params: z.object({ number: z.coerce.number().int().positive() })
+};
+
+export const revisionDiff = {
+  query: z.object({
+    from: z.union([z.coerce.number().int().positive(), z.literal('current')]),
+    to: z.union([z.coerce.number().int().positive(), z.literal('current')]).optional(),
+    mode: z.enum(['line', 'word']).optional()
+  })
+};
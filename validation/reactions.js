@@ -0,0 +1,14 @@
+import { z } from 'zod';
+import { pageQuery } from './common.js';
+import { REACTION_NAMES } from '../config/reactions.js';
+
+const reaction = z.enum(REACTION_NAMES);
+
+// Target ids are checked where the reactions router is mounted
+export const react = {
+  params: z.object({ reaction })
+};
+
+export const reactors = {
+  query: pageQuery.extend({ reaction: reaction.optional() })
+};
@@ -0,0 +1,12 @@
+import { z } from 'zod';
+import { objectId } from './common.js';
+import { REPORT_REASONS } from '../models/Report.js';
+
+export const createReport = {
+  body: z.object({
+    targetType: z.enum(['post', 'comment', 'user']),
+    targetId: objectId,
+    reason: z.enum(REPORT_REASONS),
+    detail: z.string().trim().max(1000).optional()
+  })
+};